@@ -0,0 +1,165 @@
+/*
+ * Admin dashboard for Nexus Voice.
+ *
+ * Polls the admin JSON API for the live sessions and renders the joined
+ * peers and lobby watchers, with buttons to disconnect a socket and a
+ * form to broadcast a notice. The admin token is kept in sessionStorage
+ * and sent as a bearer token with every request.
+ */
+
+(function () {
+  const REFRESH_INTERVAL = 5000;
+
+  const tokenForm = document.getElementById('token-form');
+  const tokenInput = document.getElementById('token-input');
+  const tokenError = document.getElementById('token-error');
+  const dashboard = document.getElementById('dashboard');
+  const refreshBtn = document.getElementById('refresh-btn');
+  const logoutBtn = document.getElementById('admin-logout-btn');
+  const updatedAtEl = document.getElementById('updated-at');
+  const peerRows = document.getElementById('peer-rows');
+  const watcherRows = document.getElementById('watcher-rows');
+  const noticeForm = document.getElementById('notice-form');
+  const noticeInput = document.getElementById('notice-input');
+  const noticeRoom = document.getElementById('notice-room');
+
+  let token = sessionStorage.getItem('adminToken');
+  let refreshTimer = null;
+
+  // Call the admin API. A rejected token sends the operator back to the
+  // token prompt.
+  async function api(method, url, body) {
+    const res = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json().catch(() => ({}));
+    if (res.status === 401) {
+      showTokenForm(data.error);
+      throw new Error('unauthorised');
+    }
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+  }
+
+  function showTokenForm(error) {
+    clearInterval(refreshTimer);
+    sessionStorage.removeItem('adminToken');
+    token = null;
+    tokenError.textContent = error || '';
+    tokenForm.hidden = false;
+    dashboard.hidden = true;
+  }
+
+  const formatTime = (time) => (time ? new Date(time).toLocaleTimeString() : '—');
+
+  function cell(row, text) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    row.appendChild(td);
+    return td;
+  }
+
+  function disconnectButton(row, socketId, label) {
+    const td = document.createElement('td');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'control-btn';
+    button.textContent = 'قطع';
+    button.addEventListener('click', () => {
+      if (!confirm(`قطع اتصال ${label}؟`)) return;
+      api('POST', `/admin/api/sockets/${encodeURIComponent(socketId)}/disconnect`)
+        .then(refresh)
+        .catch((err) => alert(err.message));
+    });
+    td.appendChild(button);
+    row.appendChild(td);
+  }
+
+  function render({ peers, watchers, rooms }) {
+    peerRows.innerHTML = '';
+    peers.forEach((peer) => {
+      const row = document.createElement('tr');
+      cell(row, peer.moderator ? `${peer.name} (مشرف)` : peer.name);
+      cell(row, `#${peer.room}`);
+      const state = [];
+      if (peer.suspended) state.push('بانتظار العودة');
+      if (peer.forceMuted) state.push('مكتوم إجباريًا');
+      else if (peer.muted) state.push('مكتوم');
+      cell(row, state.join('، ') || 'متصل');
+      cell(row, peer.relay === null ? '—' : (peer.relay ? 'نعم' : 'لا'));
+      cell(row, formatTime(peer.joinedAt));
+      cell(row, peer.address || '—').dir = 'ltr';
+      disconnectButton(row, peer.socketId, peer.name);
+      peerRows.appendChild(row);
+    });
+    watcherRows.innerHTML = '';
+    watchers.forEach((watcher) => {
+      const row = document.createElement('tr');
+      cell(row, watcher.socketId).dir = 'ltr';
+      cell(row, formatTime(watcher.connectedAt));
+      cell(row, watcher.address || '—').dir = 'ltr';
+      disconnectButton(row, watcher.socketId, watcher.socketId);
+      watcherRows.appendChild(row);
+    });
+    // Keep the room choices for notices in sync, preserving the selection
+    const selected = noticeRoom.value;
+    noticeRoom.innerHTML = '';
+    const everyone = document.createElement('option');
+    everyone.value = '';
+    everyone.textContent = 'كل المتصلين';
+    noticeRoom.appendChild(everyone);
+    rooms.forEach(({ room }) => {
+      const option = document.createElement('option');
+      option.value = room;
+      option.textContent = `#${room}`;
+      noticeRoom.appendChild(option);
+    });
+    noticeRoom.value = rooms.some((r) => r.room === selected) ? selected : '';
+    updatedAtEl.textContent = `آخر تحديث: ${formatTime(Date.now())}`;
+  }
+
+  function refresh() {
+    return api('GET', '/admin/api/sessions')
+      .then(render)
+      .catch((err) => console.error('Failed to load sessions', err));
+  }
+
+  function showDashboard() {
+    tokenForm.hidden = true;
+    dashboard.hidden = false;
+    refresh();
+    clearInterval(refreshTimer);
+    refreshTimer = setInterval(refresh, REFRESH_INTERVAL);
+  }
+
+  tokenForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    token = tokenInput.value.trim();
+    tokenInput.value = '';
+    if (!token) return;
+    sessionStorage.setItem('adminToken', token);
+    tokenError.textContent = '';
+    showDashboard();
+  });
+
+  refreshBtn.addEventListener('click', refresh);
+  logoutBtn.addEventListener('click', () => showTokenForm());
+
+  noticeForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const text = noticeInput.value.trim();
+    if (!text) return;
+    api('POST', '/admin/api/notice', { text, room: noticeRoom.value || undefined })
+      .then(() => {
+        noticeInput.value = '';
+      })
+      .catch((err) => alert(err.message));
+  });
+
+  if (token) showDashboard();
+})();
@@ -0,0 +1,108 @@
+/*
+ * Microphone processing chain for Nexus Voice.
+ *
+ * create(stream, settings) runs a microphone stream through
+ *
+ *   input gain -> noise gate -> compressor -> limiter
+ *
+ * on an AudioContext of its own and resolves to a controller whose
+ * `stream` is the processed output to send. The gate is an AudioWorklet
+ * (noiseGateProcessor.js); gain, compressor and limiter are native
+ * nodes. Everything runs on the audio rendering thread, so processing
+ * carries on while the tab is hidden. update() changes settings on the
+ * running chain and close() releases it. Where the worklet cannot be
+ * loaded the chain runs without a gate, and where Web Audio fails
+ * altogether the controller passes the microphone through untouched.
+ * Exposed as window.NexusAudioPipeline for room.js.
+ */
+
+(function () {
+  const WORKLET_URL = 'js/noiseGateProcessor.js';
+
+  // User settings: gate on/off, input gain in dB, how far above the
+  // noise floor the gate opens and where compression starts, in dB
+  const DEFAULTS = {
+    gate: true,
+    inputGain: 0,
+    gateThreshold: 10,
+    compressorThreshold: -24
+  };
+
+  // Gate timing in ms and hysteresis in dB, not exposed in the UI
+  const GATE_TIMING = { attack: 5, hold: 200, release: 150, hysteresis: 4 };
+
+  // Smoothing for parameter changes, in seconds
+  const RAMP = 0.02;
+
+  const dbToGain = (db) => Math.pow(10, db / 20);
+
+  // A controller that sends the microphone as it is
+  function passthrough(stream) {
+    return {
+      stream,
+      ctx: null,
+      update() {},
+      close() {}
+    };
+  }
+
+  async function create(stream, settings = {}) {
+    let ctx;
+    try {
+      ctx = new (window.AudioContext || window.webkitAudioContext)();
+      const source = ctx.createMediaStreamSource(stream);
+      const input = ctx.createGain();
+      let gate = null;
+      try {
+        await ctx.audioWorklet.addModule(WORKLET_URL);
+        gate = new AudioWorkletNode(ctx, 'nexus-noise-gate');
+        gate.port.postMessage(GATE_TIMING);
+      } catch (err) {
+        console.warn('Noise gate unavailable, continuing without it', err);
+      }
+      const compressor = ctx.createDynamicsCompressor();
+      compressor.knee.value = 6;
+      compressor.ratio.value = 4;
+      compressor.attack.value = 0.005;
+      compressor.release.value = 0.1;
+      // Catches the peaks the compressor lets through
+      const limiter = ctx.createDynamicsCompressor();
+      limiter.threshold.value = -1;
+      limiter.knee.value = 0;
+      limiter.ratio.value = 20;
+      limiter.attack.value = 0.001;
+      limiter.release.value = 0.05;
+      const dest = ctx.createMediaStreamDestination();
+
+      source.connect(input);
+      (gate ? input.connect(gate) : input).connect(compressor);
+      compressor.connect(limiter);
+      limiter.connect(dest);
+
+      const current = Object.assign({}, DEFAULTS);
+      const update = (changes) => {
+        Object.assign(current, changes);
+        input.gain.setTargetAtTime(dbToGain(current.inputGain), ctx.currentTime, RAMP);
+        compressor.threshold.setTargetAtTime(current.compressorThreshold, ctx.currentTime, RAMP);
+        if (gate) gate.port.postMessage({ enabled: current.gate, threshold: current.gateThreshold });
+      };
+      update(settings);
+      ctx.resume().catch(() => {});
+      return {
+        stream: dest.stream,
+        ctx,
+        update,
+        close() {
+          source.disconnect();
+          ctx.close().catch(() => {});
+        }
+      };
+    } catch (err) {
+      console.warn('Audio processing setup failed', err);
+      if (ctx) ctx.close().catch(() => {});
+      return passthrough(stream);
+    }
+  }
+
+  window.NexusAudioPipeline = { DEFAULTS, create };
+})();
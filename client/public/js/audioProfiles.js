@@ -0,0 +1,160 @@
+/*
+ * Opus audio profiles for Nexus Voice.
+ *
+ * A profile bundles the settings we send our microphone with: the Opus
+ * format parameters (in-band FEC, DTX, stereo, packet time and average
+ * bitrate), a hard bitrate cap applied through
+ * RTCRtpSender.setParameters() and whether the browser's voice
+ * processing stays on. Opus parameters in an SDP describe what the
+ * receiving side wants, and the sending browser configures its encoder
+ * from the remote description, so room.js writes our profile into
+ * every remote description before applying it. Local descriptions only
+ * announce that we can play stereo, which lets a peer on the music
+ * profile be heard in stereo. Exposed as window.NexusAudioProfiles.
+ */
+
+(function () {
+  const PROFILES = {
+    // Phone hotspots and lossy links: small, long packets with
+    // redundancy, and nothing sent during silence
+    low: {
+      label: 'منخفض',
+      maxBitrate: 16000,
+      ptime: 40,
+      fec: true,
+      dtx: true,
+      stereo: false,
+      voiceProcessing: true
+    },
+    standard: {
+      label: 'قياسي',
+      maxBitrate: 32000,
+      ptime: 20,
+      fec: true,
+      dtx: false,
+      stereo: false,
+      voiceProcessing: true
+    },
+    // High-fidelity stereo for instruments and music. Echo cancellation,
+    // noise suppression and gain control would mangle it, so they are
+    // turned off and headphones are expected.
+    music: {
+      label: 'موسيقى',
+      maxBitrate: 128000,
+      ptime: 20,
+      fec: false,
+      dtx: false,
+      stereo: true,
+      voiceProcessing: false
+    }
+  };
+
+  const DEFAULT_PROFILE = 'standard';
+
+  // Format parameters asking the remote side to send with `profile`
+  function sendParameters(profile) {
+    return {
+      useinbandfec: profile.fec ? 1 : 0,
+      usedtx: profile.dtx ? 1 : 0,
+      stereo: profile.stereo ? 1 : 0,
+      'sprop-stereo': profile.stereo ? 1 : 0,
+      maxaveragebitrate: profile.maxBitrate,
+      ptime: profile.ptime
+    };
+  }
+
+  // What our local descriptions announce: we can always play stereo
+  const RECEIVE_PARAMETERS = { stereo: 1 };
+
+  /*
+   * Merge `params` into the Opus a=fmtp lines of every audio section of
+   * an SDP, adding the line when the section has none. `ptime` is a
+   * media-level attribute rather than a format parameter, so it
+   * replaces the section's a=ptime line instead.
+   */
+  function tuneSdp(sdp, params) {
+    const { ptime, ...fmtp } = params;
+    const sections = sdp.split(/\r\n(?=m=)/);
+    return sections.map((section) => {
+      if (!section.startsWith('m=audio')) return section;
+      let lines = section.split('\r\n');
+      const payloads = lines
+        .map((line) => /^a=rtpmap:(\d+) opus\/48000/i.exec(line))
+        .filter(Boolean)
+        .map((match) => match[1]);
+      if (!payloads.length) return section;
+      payloads.forEach((payload) => {
+        const prefix = `a=fmtp:${payload} `;
+        let index = lines.findIndex((line) => line.startsWith(prefix));
+        if (index === -1) {
+          index = lines.findIndex((line) => line.startsWith(`a=rtpmap:${payload} `)) + 1;
+          lines.splice(index, 0, prefix);
+        }
+        const current = {};
+        lines[index].slice(prefix.length).split(';').forEach((pair) => {
+          const [key, value] = pair.split('=').map((part) => part.trim());
+          if (key) current[key] = value;
+        });
+        Object.entries(fmtp).forEach(([key, value]) => {
+          current[key] = String(value);
+        });
+        lines[index] = prefix + Object.entries(current).map(([key, value]) => `${key}=${value}`).join(';');
+      });
+      if (ptime !== undefined) {
+        lines = lines.filter((line) => !line.startsWith('a=ptime:'));
+        // Keep the trailing empty line of the last section last
+        const end = lines[lines.length - 1] === '' ? lines.length - 1 : lines.length;
+        lines.splice(end, 0, `a=ptime:${ptime}`);
+      }
+      return lines.join('\r\n');
+    }).join('\r\n');
+  }
+
+  // Put Opus first in the codecs a transceiver offers and accepts,
+  // keeping the others as fallbacks. Not every browser supports it.
+  function preferOpus(transceiver) {
+    if (typeof transceiver.setCodecPreferences !== 'function' || !window.RTCRtpReceiver ||
+        typeof RTCRtpReceiver.getCapabilities !== 'function') return;
+    const capabilities = RTCRtpReceiver.getCapabilities('audio');
+    if (!capabilities) return;
+    const isOpus = (codec) => codec.mimeType.toLowerCase() === 'audio/opus';
+    const codecs = capabilities.codecs.filter(isOpus)
+      .concat(capabilities.codecs.filter((codec) => !isOpus(codec)));
+    try {
+      transceiver.setCodecPreferences(codecs);
+    } catch (err) {
+      console.warn('setCodecPreferences failed', err);
+    }
+  }
+
+  // Changes queued per sender: setParameters() called again before the
+  // previous call settles would be rejected
+  const senderQueues = new WeakMap();
+
+  // Cap the bitrate of an audio sender and pause or resume it. Takes
+  // effect at once, without renegotiating.
+  function applySenderParameters(sender, profile, active = true) {
+    const apply = () => {
+      const parameters = sender.getParameters();
+      if (!parameters.encodings || !parameters.encodings.length) return null;
+      parameters.encodings.forEach((encoding) => {
+        encoding.maxBitrate = profile.maxBitrate;
+        encoding.active = active;
+      });
+      return sender.setParameters(parameters);
+    };
+    const queued = (senderQueues.get(sender) || Promise.resolve()).catch(() => {}).then(apply);
+    senderQueues.set(sender, queued);
+    return queued;
+  }
+
+  window.NexusAudioProfiles = {
+    PROFILES,
+    DEFAULT_PROFILE,
+    RECEIVE_PARAMETERS,
+    sendParameters,
+    tuneSdp,
+    preferOpus,
+    applySenderParameters
+  };
+})();
@@ -0,0 +1,38 @@
+/* global sampleRate */
+/*
+ * Level meter for voice activity detection, loaded by vad.js as an
+ * AudioWorklet. Posts the mean power of its input in dB on the node's
+ * port once per frame (`frameMs` in the processor options). Running on
+ * the audio rendering thread, it keeps reporting while the tab is
+ * hidden. A disconnected or ended input counts as silence.
+ */
+
+const MIN_DB = -100;
+
+class LevelMeterProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.frameLength = Math.round((sampleRate * options.processorOptions.frameMs) / 1000);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    // Render quantum length; inputs without channels still take one
+    const frames = input.length ? input[0].length : 128;
+    input.forEach((channel) => {
+      for (let i = 0; i < frames; i++) this.sum += (channel[i] * channel[i]) / input.length;
+    });
+    this.count += frames;
+    if (this.count >= this.frameLength) {
+      const power = this.sum / this.count;
+      this.port.postMessage(power > 0 ? Math.max(MIN_DB, 10 * Math.log10(power)) : MIN_DB);
+      this.sum = 0;
+      this.count = 0;
+    }
+    return true;
+  }
+}
+
+registerProcessor('nexus-level-meter', LevelMeterProcessor);
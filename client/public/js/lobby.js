@@ -1,46 +1,144 @@
 // Populate the list of allowed user names and handle selection
 document.addEventListener('DOMContentLoaded', () => {
-  // Static list of permitted handles. Sorting here ensures a consistent
-  // ordering each time the lobby is rendered. Feel free to rearrange
-  // the array entries themselves for a different default order.
-  const names = [
-    'Ali',
-    'Azzo',
-    'Faisal Abdullah',
-    'Faisal Sulaiman',
-    'Mishari',
-    'Moayad',
-    'Noufi',
-    'Yasser',
-    'Ziyad'
-  ].sort();
-
   const list = document.getElementById('name-list');
+  const roomList = document.getElementById('room-list');
+  const roomForm = document.getElementById('create-room-form');
+  const roomInput = document.getElementById('room-input');
+  const selectedRoomEl = document.getElementById('selected-room');
+  const loginForm = document.getElementById('login-form');
+  const loginNameEl = document.getElementById('login-name');
+  const secretInput = document.getElementById('secret-input');
+  const loginError = document.getElementById('login-error');
+  const loginCancel = document.getElementById('login-cancel');
 
-  // Build list items once and keep references so they can be updated
-  names.forEach((name) => {
-    const li = document.createElement('li');
-    li.dataset.name = name;
-    li.classList.add('name-entry');
-    // Presence indicator element (a small dot)
-    const indicator = document.createElement('span');
-    indicator.className = 'presence-indicator';
-    li.appendChild(indicator);
-    // Text node for the name
-    const text = document.createElement('span');
-    text.className = 'name-text';
-    text.textContent = name;
-    li.appendChild(text);
-    // Click handler to select this name if it's not currently online
-    li.addEventListener('click', () => {
-      if (li.classList.contains('online')) return;
-      sessionStorage.setItem('username', name);
-      // Unsubscribe from presence updates and close the socket before navigating
-      socket.emit('unsubscribe-presence');
-      socket.disconnect();
-      window.location.href = 'room.html';
+  // Room ids follow the same rules as the server: lowercase letters,
+  // digits, dashes and underscores, at most 32 characters.
+  const ROOM_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+  const DEFAULT_ROOM = 'main';
+
+  // Currently selected room and the last presence snapshot received. A
+  // room passed in the URL (e.g. a shared room link) is preselected.
+  const requestedRoom = (new URLSearchParams(window.location.search).get('room') || '').toLowerCase();
+  let selectedRoom = ROOM_ID_PATTERN.test(requestedRoom) ? requestedRoom : DEFAULT_ROOM;
+  let rooms = [];
+
+  // Build one list item per name; presence updates toggle their classes.
+  // The permitted handles come from the server-side user directory;
+  // sorting here ensures a consistent ordering each time the lobby is
+  // rendered.
+  function renderNames(names) {
+    list.innerHTML = '';
+    names.slice().sort().forEach((name) => {
+      const li = document.createElement('li');
+      li.dataset.name = name;
+      li.classList.add('name-entry');
+      // Presence indicator element (a small dot)
+      const indicator = document.createElement('span');
+      indicator.className = 'presence-indicator';
+      li.appendChild(indicator);
+      // Text node for the name
+      const text = document.createElement('span');
+      text.className = 'name-text';
+      text.textContent = name;
+      li.appendChild(text);
+      // Click handler to select this name if it's not currently online.
+      // Selecting a name opens the login step, unless this tab is still
+      // logged in under it: then it enters the room even while the name
+      // shows as online there, since that is this same login (e.g. a
+      // connection the server has not noticed dropping) and the server
+      // hands the entry over to the new socket.
+      li.addEventListener('click', () => {
+        if (hasSession(name)) {
+          enterRoom();
+        } else if (!li.classList.contains('online')) {
+          showLogin(name);
+        }
+      });
+      list.appendChild(li);
+    });
+    updateNameStates();
+  }
+
+  fetch('/api/users')
+    .then((res) => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    })
+    .then(({ users }) => renderNames(users))
+    .catch((err) => {
+      console.error('Failed to load user directory', err);
+      alert('تعذر تحميل قائمة المستخدمين. حاول تحديث الصفحة.');
     });
-    list.appendChild(li);
+
+  // Name awaiting a password/PIN in the login form
+  let pendingName = null;
+
+  // Whether this tab holds an unexpired session token for `name`, e.g.
+  // after a room sent it back here. The token's payload is readable;
+  // only its signature is checked, by the server.
+  function hasSession(name) {
+    const token = sessionStorage.getItem('token');
+    if (sessionStorage.getItem('username') !== name || !token) return false;
+    try {
+      const payload = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+      const { exp } = JSON.parse(atob(payload));
+      return exp * 1000 > Date.now();
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // Unsubscribe from presence updates and close the socket before
+  // navigating to the selected room
+  function enterRoom() {
+    socket.emit('unsubscribe-presence');
+    socket.disconnect();
+    window.location.href = `room.html?room=${encodeURIComponent(selectedRoom)}`;
+  }
+
+  function showLogin(name) {
+    pendingName = name;
+    loginNameEl.textContent = name;
+    loginError.textContent = '';
+    secretInput.value = '';
+    loginForm.hidden = false;
+    secretInput.focus();
+  }
+
+  function hideLogin() {
+    pendingName = null;
+    loginForm.hidden = true;
+  }
+
+  loginCancel.addEventListener('click', hideLogin);
+
+  // Exchange the secret for a session token, then enter the room. The
+  // token is kept in sessionStorage and presented in the Socket.IO
+  // handshake by room.js.
+  loginForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    if (!pendingName) return;
+    const name = pendingName;
+    loginError.textContent = '';
+    try {
+      const res = await fetch('/api/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, secret: secretInput.value })
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || !body.token) {
+        loginError.textContent = body.error || 'تعذر تسجيل الدخول';
+        return;
+      }
+      sessionStorage.setItem('username', name);
+      sessionStorage.setItem('token', body.token);
+    } catch (err) {
+      console.error('Login failed', err);
+      loginError.textContent = 'تعذر الاتصال بالخادم';
+      return;
+    }
+    enterRoom();
   });
 
   // Establish a Socket.IO connection to receive presence updates. This
@@ -48,10 +146,23 @@ document.addEventListener('DOMContentLoaded', () => {
   // connection will be closed.
   const socket = io();
   socket.emit('subscribe-presence');
-  socket.on('presence', (activeNames) => {
-    // Update the UI to reflect which names are currently online. When a
-    // name is online we add the `online` class to disable selection and show
-    // a green indicator.
+  socket.on('presence', (activeRooms) => {
+    rooms = activeRooms;
+    renderRooms();
+    updateNameStates();
+  });
+
+  // Notices broadcast by an operator from the admin dashboard
+  socket.on('notice', ({ text }) => {
+    alert(`تنبيه: ${text}`);
+  });
+
+  // Update the UI to reflect which names are currently online in the
+  // selected room. When a name is online we add the `online` class to
+  // disable selection and show a green indicator.
+  function updateNameStates() {
+    const current = rooms.find((r) => r.room === selectedRoom);
+    const activeNames = current ? current.names : [];
     const entries = list.querySelectorAll('.name-entry');
     entries.forEach((li) => {
       if (activeNames.includes(li.dataset.name)) {
@@ -60,8 +171,58 @@ document.addEventListener('DOMContentLoaded', () => {
         li.classList.remove('online');
       }
     });
+    selectedRoomEl.textContent = `#${selectedRoom}`;
+  }
+
+  // Render the list of active rooms with their occupants. The selected
+  // room is always shown, even when nobody is in it yet, so a freshly
+  // created room can be joined.
+  function renderRooms() {
+    roomList.innerHTML = '';
+    const entries = rooms.slice();
+    if (!entries.some((r) => r.room === selectedRoom)) {
+      entries.unshift({ room: selectedRoom, names: [] });
+    }
+    entries.forEach(({ room, names: occupants, locked, recording }) => {
+      const li = document.createElement('li');
+      li.dataset.room = room;
+      li.classList.add('room-entry');
+      if (room === selectedRoom) li.classList.add('selected');
+      const title = document.createElement('span');
+      title.className = 'room-name';
+      title.textContent = `#${room}${locked ? ' 🔒' : ''}${recording ? ' 🔴' : ''}`;
+      li.appendChild(title);
+      const members = document.createElement('span');
+      members.className = 'room-members';
+      members.textContent = occupants.length ? occupants.join('، ') : 'فارغة';
+      li.appendChild(members);
+      li.addEventListener('click', () => selectRoom(room));
+      roomList.appendChild(li);
+    });
+  }
+
+  function selectRoom(room) {
+    selectedRoom = room;
+    renderRooms();
+    updateNameStates();
+  }
+
+  // Create a new room from the form. The room only becomes active on the
+  // server once somebody joins it, so we simply select it locally.
+  roomForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const room = roomInput.value.trim().toLowerCase();
+    if (!ROOM_ID_PATTERN.test(room)) {
+      alert('اسم الغرفة يجب أن يتكون من أحرف إنجليزية صغيرة وأرقام و - أو _ فقط');
+      return;
+    }
+    roomInput.value = '';
+    selectRoom(room);
   });
 
+  renderRooms();
+  updateNameStates();
+
   // Clean up the presence subscription when leaving the page (e.g. refresh)
   window.addEventListener('beforeunload', () => {
     socket.emit('unsubscribe-presence');
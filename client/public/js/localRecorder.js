@@ -0,0 +1,109 @@
+/*
+ * Local recording for Nexus Voice.
+ *
+ * Mixes the local microphone and every remote stream into a single
+ * MediaRecorder output through Web Audio, entirely in the browser. The
+ * mix is built from a MediaStreamAudioDestinationNode on a context of
+ * its own, so per-peer volume and "mute for me" only affect playback,
+ * not the recording. Streams can be added, replaced (e.g. after a
+ * microphone switch or a rebuilt connection) and removed while
+ * recording; stop() resolves to the finished file as a Blob. Exposed as
+ * window.NexusLocalRecorder for room.js.
+ */
+
+(function () {
+  // Preferred container/codec pairs, WebM/Opus first
+  const MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus'];
+  const AUDIO_BITRATE = 96000;
+  // Chunk length handed to ondataavailable, so a crash loses little
+  const TIMESLICE = 1000;
+
+  // The mime type to record with, '' for the browser default, or null
+  // when MediaRecorder is not available at all
+  function supportedMimeType() {
+    if (!window.MediaRecorder || !window.AudioContext) return null;
+    return MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+  }
+
+  function create() {
+    const mimeType = supportedMimeType();
+    let ctx = null;
+    let dest = null;
+    let recorder = null;
+    let chunks = [];
+    // Key (peerId or 'local') -> source node feeding the mix
+    const sources = new Map();
+
+    function disconnect(key) {
+      const source = sources.get(key);
+      if (!source) return;
+      source.disconnect();
+      sources.delete(key);
+    }
+
+    function connect(key, stream) {
+      disconnect(key);
+      if (!stream || !stream.getAudioTracks().length) return;
+      const source = ctx.createMediaStreamSource(stream);
+      source.connect(dest);
+      sources.set(key, source);
+    }
+
+    return {
+      supported: mimeType !== null,
+
+      get active() {
+        return Boolean(recorder);
+      },
+
+      // Start recording the given streams ({ key: MediaStream })
+      start(streams) {
+        if (recorder || mimeType === null) return;
+        ctx = new AudioContext();
+        dest = ctx.createMediaStreamDestination();
+        Object.entries(streams).forEach(([key, stream]) => connect(key, stream));
+        const options = { audioBitsPerSecond: AUDIO_BITRATE };
+        if (mimeType) options.mimeType = mimeType;
+        recorder = new MediaRecorder(dest.stream, options);
+        chunks = [];
+        recorder.ondataavailable = (event) => {
+          if (event.data && event.data.size) chunks.push(event.data);
+        };
+        recorder.start(TIMESLICE);
+        ctx.resume().catch(() => {});
+      },
+
+      // Add or replace a stream in the mix. Ignored when not recording.
+      setStream(key, stream) {
+        if (recorder) connect(key, stream);
+      },
+
+      removeStream(key) {
+        if (recorder) disconnect(key);
+      },
+
+      // Stop recording. Resolves to { blob, extension }.
+      stop() {
+        if (!recorder) return Promise.resolve(null);
+        const current = recorder;
+        recorder = null;
+        return new Promise((resolve) => {
+          current.onstop = () => {
+            const type = current.mimeType || mimeType || 'audio/webm';
+            Array.from(sources.keys()).forEach(disconnect);
+            ctx.close().catch(() => {});
+            ctx = dest = null;
+            resolve({
+              blob: new Blob(chunks, { type }),
+              extension: type.includes('ogg') ? 'ogg' : 'webm'
+            });
+            chunks = [];
+          };
+          current.stop();
+        });
+      }
+    };
+  }
+
+  window.NexusLocalRecorder = { create };
+})();
@@ -0,0 +1,102 @@
+/* global sampleRate */
+/*
+ * Noise gate for Nexus Voice, loaded by audioPipeline.js as an
+ * AudioWorklet. It runs on the audio rendering thread, so unlike a
+ * requestAnimationFrame loop it keeps gating while the tab is hidden.
+ *
+ * The level of each 128-sample block is followed by a short envelope.
+ * A noise floor estimate drops quickly to quieter blocks and creeps up
+ * slowly during louder ones, so it follows a room getting noisier or
+ * quieter without following speech. The gate opens when the level
+ * rises `threshold` dB above the floor and only starts closing once it
+ * falls `hysteresis` dB below that point; it then stays open for `hold`
+ * ms and fades out over `release` ms. Opening fades in over `attack`
+ * ms. All channels share one gain. Settings arrive as messages on the
+ * node's port.
+ */
+
+// Envelope time constant and the quietest level considered, in dB
+const ENVELOPE_MS = 10;
+const MIN_DB = -100;
+// The noise floor falls with this time constant and rises at most this
+// fast, within these bounds
+const FLOOR_FALL_SECONDS = 0.2;
+const FLOOR_RISE_DB_PER_SECOND = 2;
+const FLOOR_MIN_DB = -90;
+const FLOOR_MAX_DB = -30;
+
+class NoiseGateProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.settings = {
+      enabled: true,
+      threshold: 10,
+      hysteresis: 4,
+      attack: 5,
+      hold: 200,
+      release: 150
+    };
+    this.envelope = 0;
+    // Set from the first block heard
+    this.floorDb = null;
+    this.open = false;
+    // Samples left before a closing gate starts to fade
+    this.holdLeft = 0;
+    this.gain = 0;
+    this.port.onmessage = ({ data }) => Object.assign(this.settings, data);
+  }
+
+  // Follow the level of a block and update the floor and the gate state
+  track(input) {
+    const frames = input[0].length;
+    let sum = 0;
+    input.forEach((channel) => {
+      for (let i = 0; i < frames; i++) sum += channel[i] * channel[i];
+    });
+    const seconds = frames / sampleRate;
+    this.envelope += (sum / (frames * input.length) - this.envelope) *
+      (1 - Math.exp(-seconds * 1000 / ENVELOPE_MS));
+    const level = this.envelope > 0 ? Math.max(MIN_DB, 10 * Math.log10(this.envelope)) : MIN_DB;
+
+    if (this.floorDb === null) {
+      this.floorDb = level;
+    } else if (level < this.floorDb) {
+      this.floorDb += (level - this.floorDb) * (1 - Math.exp(-seconds / FLOOR_FALL_SECONDS));
+    } else {
+      this.floorDb += FLOOR_RISE_DB_PER_SECOND * seconds;
+    }
+    this.floorDb = Math.min(FLOOR_MAX_DB, Math.max(FLOOR_MIN_DB, this.floorDb));
+
+    const { threshold, hysteresis, hold } = this.settings;
+    const openAt = this.floorDb + threshold;
+    if (level > openAt - (this.open ? hysteresis : 0)) {
+      this.open = true;
+      this.holdLeft = (hold / 1000) * sampleRate;
+    } else if (this.open) {
+      this.holdLeft -= frames;
+      if (this.holdLeft <= 0) this.open = false;
+    }
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0];
+    const output = outputs[0];
+    // No input connected (yet)
+    if (!input.length) return true;
+    this.track(input);
+    const { enabled, attack, release } = this.settings;
+    const target = !enabled || this.open ? 1 : 0;
+    const ms = target > this.gain ? attack : release;
+    const step = 1 - Math.exp(-1000 / (Math.max(ms, 0.1) * sampleRate));
+    const frames = input[0].length;
+    for (let i = 0; i < frames; i++) {
+      this.gain += (target - this.gain) * step;
+      for (let c = 0; c < output.length; c++) {
+        output[c][i] = (input[c] || input[0])[i] * this.gain;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('nexus-noise-gate', NoiseGateProcessor);
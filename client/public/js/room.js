@@ -11,20 +11,40 @@
  */
 
 (async function () {
+  // The room id is carried in the URL (room.html?room=xyz) so links to a
+  // room can be shared. The server validates it on join.
+  const roomId = new URLSearchParams(window.location.search).get('room') || 'main';
+  const lobbyUrl = `/?room=${encodeURIComponent(roomId)}`;
   const username = sessionStorage.getItem('username');
-  if (!username) {
-    // If no username is stored, redirect back to lobby
-    window.location.href = '/';
+  // Session token issued by /api/login, checked by the server during the
+  // Socket.IO handshake
+  const sessionToken = sessionStorage.getItem('token');
+  if (!username || !sessionToken) {
+    // If the user has not logged in, redirect back to the lobby with
+    // this room preselected
+    window.location.href = lobbyUrl;
     return;
   }
 
   // DOM elements
   const currentUserEl = document.getElementById('current-user');
+  const currentRoomEl = document.getElementById('current-room');
   const peerListEl = document.getElementById('peer-list');
   const muteBtn = document.getElementById('mute-btn');
+  const lockBtn = document.getElementById('lock-btn');
+  const recordBtn = document.getElementById('record-btn');
+  const localRecordBtn = document.getElementById('local-record-btn');
+  const localRecordingLink = document.getElementById('local-recording-link');
+  const recordingIndicator = document.getElementById('recording-indicator');
   const noiseBtn = document.getElementById('noise-btn');
+  const screenBtn = document.getElementById('screen-btn');
+  const screenPanel = document.getElementById('screen-panel');
+  const chatLogEl = document.getElementById('chat-log');
+  const chatForm = document.getElementById('chat-form');
+  const chatInput = document.getElementById('chat-input');
 
   currentUserEl.textContent = username;
+  currentRoomEl.textContent = `#${roomId}`;
 
   /*
    * Maintain a list of all AudioContext instances created during the
@@ -112,15 +132,29 @@
   // captured by that function. Otherwise `localStream` would be in
   // a temporal dead zone when accessed inside requestMicrophone.
   let localStream;
-  let localAnalyser;
-  let audioCtx;
-  let localDataArray;
+  // Voice activity detection for our microphone (under VAD_LOCAL) and
+  // every remote participant (under their peerId), see vad.js
+  const vad = window.NexusVad.create();
+  const VAD_LOCAL = 'local';
   let isMuted = false;
-  // Controller for the dynamic noise gate. It exposes an enable() method
-  // to toggle gating on and off at runtime.
-  let noiseGateController;
+  // Set while a moderator has forced our microphone off
+  let isForceMuted = false;
+  // Controller of the microphone processing chain (gain, noise gate,
+  // compressor and limiter; see audioPipeline.js). Its `stream` is what
+  // we send, and update() changes settings while it runs.
+  let audioPipeline;
   // Flag to track the current noise suppression state
   let noiseEnabled = true;
+  // Processing settings from the settings panel, kept in localStorage
+  const PROCESSING_KEY = 'audioProcessing';
+  const processingSettings = (() => {
+    try {
+      return Object.assign({}, window.NexusAudioPipeline.DEFAULTS,
+        JSON.parse(localStorage.getItem(PROCESSING_KEY)));
+    } catch (_) {
+      return Object.assign({}, window.NexusAudioPipeline.DEFAULTS);
+    }
+  })();
 
   // Play a short beep using the Web Audio API. Different frequencies can
   // indicate different events (e.g. join vs leave). The duration is fixed
@@ -142,15 +176,41 @@
     }
   }
 
-  // Audio constraints
-  const audioConstraints = {
-    audio: {
-      autoGainControl: true,
-      noiseSuppression: true,
-      echoCancellation: true
-    },
-    video: false
-  };
+  // Microphone and speaker chosen in the settings panel, remembered
+  // across sessions. An empty id means "follow the system default".
+  let selectedInputId = localStorage.getItem('audioInputId') || '';
+  let selectedOutputId = localStorage.getItem('audioOutputId') || '';
+  // Raw microphone stream feeding the processing chain, kept so it can
+  // be stopped when switching devices
+  let micStream;
+  // Audio profile (see audioProfiles.js) chosen in the settings panel:
+  // one of its profiles, or 'auto' to move between standard and low
+  // with the packet loss our peers report. `audioProfile` is the one
+  // we currently send with.
+  const AudioProfiles = window.NexusAudioProfiles;
+  let profileChoice = localStorage.getItem('audioProfile') || 'auto';
+  if (!AudioProfiles.PROFILES[profileChoice]) profileChoice = 'auto';
+  let audioProfile = profileChoice === 'auto' ? AudioProfiles.DEFAULT_PROFILE : profileChoice;
+  // Whether our audio senders are paused because we are silent (see the
+  // voice activity section)
+  let sendingPaused = false;
+
+  // Audio constraints. The chosen device is only `ideal` so a microphone
+  // that has been unplugged falls back to the default instead of failing.
+  // The music profile asks for an unprocessed stereo input.
+  function getAudioConstraints() {
+    const { voiceProcessing, stereo } = AudioProfiles.PROFILES[audioProfile];
+    return {
+      audio: {
+        autoGainControl: voiceProcessing,
+        noiseSuppression: voiceProcessing,
+        echoCancellation: voiceProcessing,
+        channelCount: stereo ? { ideal: 2 } : undefined,
+        deviceId: selectedInputId ? { ideal: selectedInputId } : undefined
+      },
+      video: false
+    };
+  }
 
   // Request microphone access up front. If this fails the user will
   // receive a clear error message. We do this before connecting to
@@ -179,21 +239,83 @@
 
   // Peer connections keyed by peerId
   const peers = {};
+  /*
+   * Media received from each participant, keyed by their peerId: the
+   * <audio> element and gain chain, the stream as received and any
+   * shared screen, plus `via`, the peer whose connection carries it. In
+   * a mesh room that is the participant itself. In a forwarded room we
+   * only connect to the server's forwarder, which relays everybody's
+   * tracks with the sender's peerId as stream id.
+   */
+  const remoteMedia = {};
+  // Names of the participants in the list, by peerId
+  const peerNames = {};
+  // Whether the room is forwarded (from `room-state`) and the peerIds of
+  // its forwarder
+  let forwarded = false;
+  const forwarderIds = new Set();
+  // Recording of the conversation in this browser (see localRecorder.js)
+  const localRecorder = window.NexusLocalRecorder.create();
+  // Our screen capture while sharing, the peers currently sharing theirs
+  // (as announced through `screen-share`) and the server's recorder
+  // peers, which are never sent video
+  let screenStream = null;
+  const sharingIds = new Set();
+  const recorderIds = new Set();
+
+  // Resume token from the last `welcome`. Presented on reconnect so the
+  // server hands back the same peerId instead of treating us as a new
+  // participant.
+  let resumeToken = null;
 
-  // Signalling via Socket.IO
-  const socket = io();
+  // Signalling via Socket.IO, authenticated with the session token. The
+  // auth callback runs on every (re)connection attempt, so it always
+  // sends the latest resume token.
+  const socket = io({ auth: (cb) => cb({ token: sessionToken, resumeToken }) });
   let myPeerId = null;
+  // Moderation state pushed by the server in `room-state`
+  let isModerator = false;
+  let roomLocked = false;
+  let moderatorIds = [];
+  let forceMutedIds = [];
+  // Running server-side recording ({ by, startedAt }) or null, and
+  // whether the server allows recording at all
+  let recording = null;
+  let recordingEnabled = false;
   let iceServers = [];
   let icePolicy = 'all';
+  // Timer used to renew short-lived TURN credentials before they expire
+  let iceRefreshTimer = null;
+
+  // Ask the server for fresh TURN credentials shortly before the current
+  // ones expire: five minutes ahead, or a fifth of the remaining lifetime
+  // for short TTLs.
+  function scheduleIceRefresh(expiresAt) {
+    clearTimeout(iceRefreshTimer);
+    if (!expiresAt) return;
+    const remaining = expiresAt - Date.now();
+    const lead = Math.min(5 * 60 * 1000, remaining / 5);
+    iceRefreshTimer = setTimeout(() => {
+      socket.emit('refresh-ice');
+    }, Math.max(1000, remaining - lead));
+  }
+
 
+  // Remote participants currently speaking, as detected from their audio
+  // here and as they announced through `speaking`. Either lights the
+  // indicator, so it still works when the audio cannot be analysed
+  // here (or is not sent while they are silent).
+  const heardSpeaking = new Set();
+  const announcedSpeaking = new Set();
 
-  // Utility to update speaking indicator on the UI
-  function setSpeaking(peerId, speaking) {
+  // Update a peer's speaking indicator. Our own follows the local VAD.
+  function setSpeaking(peerId) {
     const item = peerListEl.querySelector(`[data-peer-id="${peerId}"]`);
-    if (item) {
-      if (speaking) item.classList.add('peer-speaking');
-      else item.classList.remove('peer-speaking');
-    }
+    if (!item) return;
+    const speaking = peerId === myPeerId
+      ? vad.isSpeaking(VAD_LOCAL)
+      : heardSpeaking.has(peerId) || announcedSpeaking.has(peerId);
+    item.classList.toggle('peer-speaking', speaking);
   }
 
   // Update the muted status for a peer. This toggles a CSS class and
@@ -209,124 +331,348 @@
     }
   }
 
-  // Render the entire peer list
+  // Show or hide the marker of a peer recording the room locally
+  function updateLocalRecording(peerId, recording) {
+    const li = peerListEl.querySelector(`[data-peer-id="${peerId}"]`);
+    if (!li) return;
+    li.querySelector('.local-recording-badge').hidden = !recording;
+  }
+
+  // Show the audio profile a peer sends with ({ profile, auto }), or
+  // nothing until they have announced one
+  function updateAudioProfile(peerId, current) {
+    const li = peerListEl.querySelector(`[data-peer-id="${peerId}"]`);
+    if (!li) return;
+    const badge = li.querySelector('.profile-badge');
+    const profile = current && AudioProfiles.PROFILES[current.profile];
+    badge.hidden = !profile;
+    if (profile) badge.textContent = current.auto ? `تلقائي: ${profile.label}` : profile.label;
+  }
+
+  // Render the entire peer list. The server's recorder and forwarder
+  // peers are not participants; the recorder is shown through the
+  // recording indicator instead.
   function renderPeerList(list) {
     peerListEl.innerHTML = '';
-    list.forEach(({ peerId, name }) => {
-      const li = document.createElement('li');
-      li.dataset.peerId = peerId;
-      li.classList.add('peer-entry');
-      // Name span
-      const nameSpan = document.createElement('span');
-      nameSpan.className = 'peer-name';
-      nameSpan.textContent = name;
-      li.appendChild(nameSpan);
-      // Mute icon span (hidden by default)
-      const muteIcon = document.createElement('span');
-      muteIcon.className = 'mute-icon';
-      // Leave text empty; the icon is drawn via CSS (see nexus.css)
-      muteIcon.textContent = '';
-      li.appendChild(muteIcon);
-      if (peerId === myPeerId) {
-        li.classList.add('peer-self');
-      }
-      peerListEl.appendChild(li);
+    list.filter((p) => !p.recorder && !p.forwarder).forEach(({ peerId, name, localRecording, audioProfile }) => {
+      addPeerToList(peerId, name);
+      updateLocalRecording(peerId, localRecording);
+      updateAudioProfile(peerId, audioProfile);
     });
   }
 
-  // Add a single peer to the list if not already present
+  // Add a single peer to the list if not already present. Remote peers
+  // get a volume slider and a "mute for me" toggle.
   function addPeerToList(peerId, name) {
     let li = peerListEl.querySelector(`[data-peer-id="${peerId}"]`);
     if (!li) {
       li = document.createElement('li');
       li.dataset.peerId = peerId;
       li.classList.add('peer-entry');
+      // Name span
       const nameSpan = document.createElement('span');
       nameSpan.className = 'peer-name';
       nameSpan.textContent = name;
       li.appendChild(nameSpan);
+      // Mute icon span (hidden by default). Leave text empty; the icon
+      // is drawn via CSS (see nexus.css)
       const muteIcon = document.createElement('span');
       muteIcon.className = 'mute-icon';
       muteIcon.textContent = '';
       li.appendChild(muteIcon);
+      const badge = document.createElement('span');
+      badge.className = 'moderator-badge';
+      badge.textContent = 'مشرف';
+      badge.hidden = true;
+      li.appendChild(badge);
+      const recordingBadge = document.createElement('span');
+      recordingBadge.className = 'local-recording-badge';
+      recordingBadge.textContent = '● يسجّل';
+      recordingBadge.title = 'يسجّل المحادثة على جهازه';
+      recordingBadge.hidden = true;
+      li.appendChild(recordingBadge);
+      const profileBadge = document.createElement('span');
+      profileBadge.className = 'profile-badge';
+      profileBadge.title = 'ملف الصوت';
+      profileBadge.hidden = true;
+      li.appendChild(profileBadge);
+      if (peerId !== myPeerId) {
+        li.appendChild(createQualityBadge());
+        li.appendChild(createPeerAudioControls(peerId, name));
+        li.appendChild(createModerationControls(peerId, name));
+      }
       peerListEl.appendChild(li);
+      if (peerId !== myPeerId) {
+        peerNames[peerId] = name;
+        applyPeerAudio(peerId);
+      }
     }
     if (peerId === myPeerId) {
       li.classList.add('peer-self');
     }
+    applyModeration(li);
+    setSpeaking(peerId);
+  }
+
+  // Kick, force-mute and ban buttons for a remote peer. They are only
+  // shown while we are a moderator; the server checks the role anyway.
+  function createModerationControls(peerId, name) {
+    const wrapper = document.createElement('span');
+    wrapper.className = 'peer-mod-controls';
+    wrapper.hidden = true;
+    const forceMuteBtn = document.createElement('button');
+    forceMuteBtn.type = 'button';
+    forceMuteBtn.className = 'peer-force-mute';
+    forceMuteBtn.addEventListener('click', () => {
+      socket.emit('force-mute', { targetPeerId: peerId, muted: !forceMutedIds.includes(peerId) });
+    });
+    const kickBtn = document.createElement('button');
+    kickBtn.type = 'button';
+    kickBtn.textContent = 'طرد';
+    kickBtn.addEventListener('click', () => {
+      if (!confirm(`طرد ${name} من الغرفة؟`)) return;
+      socket.emit('kick', { targetPeerId: peerId });
+    });
+    const banBtn = document.createElement('button');
+    banBtn.type = 'button';
+    banBtn.textContent = 'حظر';
+    banBtn.addEventListener('click', () => {
+      const answer = prompt(`مدة حظر ${name} بالدقائق`, '10');
+      if (answer === null) return;
+      const minutes = Number(answer);
+      if (!Number.isFinite(minutes) || minutes < 1 || minutes > 24 * 60) {
+        alert('أدخل مدة بين 1 و1440 دقيقة');
+        return;
+      }
+      socket.emit('ban', { targetPeerId: peerId, minutes });
+    });
+    wrapper.appendChild(forceMuteBtn);
+    wrapper.appendChild(kickBtn);
+    wrapper.appendChild(banBtn);
+    return wrapper;
+  }
+
+  // Reflect the moderation state on one peer list entry: the moderator
+  // badge, and for moderators the controls of non-moderator peers
+  function applyModeration(li) {
+    const { peerId } = li.dataset;
+    const peerIsModerator = moderatorIds.includes(peerId);
+    li.querySelector('.moderator-badge').hidden = !peerIsModerator;
+    const controls = li.querySelector('.peer-mod-controls');
+    if (!controls) return;
+    controls.hidden = !isModerator || peerIsModerator;
+    const forced = forceMutedIds.includes(peerId);
+    const forceMuteBtn = controls.querySelector('.peer-force-mute');
+    forceMuteBtn.textContent = forced ? 'إلغاء الكتم الإجباري' : 'كتم إجباري';
+    forceMuteBtn.classList.toggle('active', forced);
+  }
+
+  function renderModeration() {
+    peerListEl.querySelectorAll('.peer-entry').forEach(applyModeration);
+    lockBtn.hidden = !isModerator;
+    lockBtn.textContent = roomLocked ? 'فتح الغرفة' : 'قفل الغرفة';
+    recordBtn.hidden = !isModerator || !recordingEnabled;
+    recordBtn.textContent = recording ? 'إيقاف التسجيل' : 'بدء التسجيل';
+    recordBtn.classList.toggle('active', Boolean(recording));
+    currentRoomEl.textContent = roomLocked ? `#${roomId} 🔒` : `#${roomId}`;
+  }
+
+  // Everyone in the room sees while it is being recorded, and by whom
+  function renderRecording() {
+    recordingIndicator.hidden = !recording;
+    if (recording) {
+      const since = new Date(recording.startedAt).toLocaleTimeString();
+      recordingIndicator.textContent = `● يجري تسجيل الغرفة (بدأه ${recording.by} الساعة ${since})`;
+    }
+  }
+
+  // Connection quality badge with a details popover, filled in by
+  // pollStats(). Clicking the badge toggles the popover.
+  function createQualityBadge() {
+    const wrapper = document.createElement('span');
+    wrapper.className = 'quality';
+    const badge = document.createElement('button');
+    badge.type = 'button';
+    badge.className = 'quality-badge quality-unknown';
+    badge.title = 'جودة الاتصال';
+    const details = document.createElement('span');
+    details.className = 'quality-details';
+    details.hidden = true;
+    badge.addEventListener('click', () => {
+      details.hidden = !details.hidden;
+    });
+    wrapper.appendChild(badge);
+    wrapper.appendChild(details);
+    return wrapper;
+  }
+
+  const ROUTE_LABELS = {
+    host: 'مباشر',
+    srflx: 'عبر STUN',
+    relay: 'عبر TURN'
+  };
+
+  // Update a peer's quality badge and popover from a stats summary
+  function renderQuality(peerId, summary) {
+    const li = peerListEl.querySelector(`[data-peer-id="${peerId}"]`);
+    if (!li) return;
+    const badge = li.querySelector('.quality-badge');
+    const details = li.querySelector('.quality-details');
+    if (!badge || !details) return;
+    const grade = window.NexusStats.classify(summary);
+    badge.className = `quality-badge quality-${grade}`;
+    const fmt = (value, unit, digits = 0) => (value === null ? '—' : `${value.toFixed(digits)} ${unit}`);
+    details.innerHTML = '';
+    [
+      `زمن الذهاب والعودة: ${fmt(summary.rtt, 'ms')}`,
+      `التذبذب: ${fmt(summary.jitter, 'ms')}`,
+      `فقدان الحزم: ${fmt(summary.packetLoss, '%', 1)}`,
+      `معدل البت: ${fmt(summary.bitrate, 'kbps', 1)}`,
+      `المسار: ${ROUTE_LABELS[summary.route] || '—'}`
+    ].forEach((line) => {
+      const row = document.createElement('span');
+      row.textContent = line;
+      details.appendChild(row);
+    });
+  }
+
+  /*
+   * Per-peer playback settings, keyed by name so they reapply when that
+   * person rejoins with a new peerId. Volume is a percentage where
+   * values above 100 boost the signal through a GainNode.
+   */
+  const PEER_AUDIO_KEY = 'peerAudio';
+  const MAX_PEER_VOLUME = 200;
+
+  function loadPeerAudioSettings() {
+    try {
+      return JSON.parse(localStorage.getItem(PEER_AUDIO_KEY)) || {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  function getPeerAudio(name) {
+    const stored = loadPeerAudioSettings()[name] || {};
+    return {
+      volume: Number.isFinite(stored.volume) ? stored.volume : 100,
+      muted: Boolean(stored.muted)
+    };
+  }
+
+  function savePeerAudio(name, settings) {
+    const all = loadPeerAudioSettings();
+    all[name] = settings;
+    localStorage.setItem(PEER_AUDIO_KEY, JSON.stringify(all));
+  }
+
+  // Build the volume slider and local mute toggle for a remote peer
+  function createPeerAudioControls(peerId, name) {
+    const settings = getPeerAudio(name);
+    const wrapper = document.createElement('span');
+    wrapper.className = 'peer-audio-controls';
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = 'peer-volume';
+    slider.min = '0';
+    slider.max = String(MAX_PEER_VOLUME);
+    slider.step = '5';
+    slider.value = String(settings.volume);
+    slider.title = `${settings.volume}%`;
+    slider.setAttribute('aria-label', `مستوى صوت ${name}`);
+    const muteToggle = document.createElement('button');
+    muteToggle.type = 'button';
+    muteToggle.className = 'peer-local-mute';
+    muteToggle.textContent = settings.muted ? 'إلغاء الكتم لدي' : 'كتم لدي';
+    muteToggle.classList.toggle('active', settings.muted);
+    slider.addEventListener('input', () => {
+      const current = getPeerAudio(name);
+      current.volume = Number(slider.value);
+      slider.title = `${current.volume}%`;
+      savePeerAudio(name, current);
+      applyPeerAudio(peerId);
+    });
+    muteToggle.addEventListener('click', () => {
+      const current = getPeerAudio(name);
+      current.muted = !current.muted;
+      savePeerAudio(name, current);
+      muteToggle.textContent = current.muted ? 'إلغاء الكتم لدي' : 'كتم لدي';
+      muteToggle.classList.toggle('active', current.muted);
+      applyPeerAudio(peerId);
+    });
+    wrapper.appendChild(slider);
+    wrapper.appendChild(muteToggle);
+    return wrapper;
+  }
+
+  // Apply the stored volume/mute settings to a peer's playback chain.
+  // Without a GainNode (Web Audio unavailable) fall back to the element
+  // volume, which cannot go above 100%.
+  function applyPeerAudio(peerId) {
+    const entry = remoteMedia[peerId];
+    if (!entry || !peerNames[peerId]) return;
+    const { volume, muted } = getPeerAudio(peerNames[peerId]);
+    if (entry.gain) {
+      entry.gain.gain.value = muted ? 0 : volume / 100;
+    } else if (entry.audio) {
+      entry.audio.volume = Math.min(1, volume / 100);
+      entry.audio.muted = muted;
+    }
   }
 
   // Remove a peer from the list
   function removePeerFromList(peerId) {
     const li = peerListEl.querySelector(`[data-peer-id="${peerId}"]`);
     if (li) li.remove();
+    delete peerNames[peerId];
   }
 
-  // Start analysing local audio for speaking detection
-  function startLocalAnalysis(stream) {
-    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-    // Keep track of this context so we can resume it on the first user
-    // interaction (required on mobile browsers).
-    audioContexts.push(audioCtx);
-    localAnalyser = audioCtx.createAnalyser();
-    // Use a smaller FFT size to improve responsiveness and reduce
-    // perceived delay in the speaking indicator.
-    localAnalyser.fftSize = 256;
-    localDataArray = new Uint8Array(localAnalyser.frequencyBinCount);
-    const source = audioCtx.createMediaStreamSource(stream);
-    source.connect(localAnalyser);
-    function analyse() {
-      localAnalyser.getByteFrequencyData(localDataArray);
-      let sum = 0;
-      for (let i = 0; i < localDataArray.length; i++) {
-        sum += localDataArray[i];
-      }
-      const level = sum / localDataArray.length;
-      // Raise the threshold slightly to avoid constant triggering from
-      // ambient noise. A threshold around 50 works well with our 256
-      // point FFT.
-      setSpeaking(myPeerId, level > 50);
-      requestAnimationFrame(analyse);
-    }
-    analyse();
-
-    // Ensure the audio context is running. Some browsers start new
-    // AudioContext instances in a suspended state until resumed. By
-    // calling resume() here we guarantee immediate operation on
-    // platforms that allow it, while the unlockAudio handler will
-    // resume contexts on user interaction where required.
-    audioCtx.resume().catch(() => {});
-  }
-
-  // Analyse remote audio stream for a peer
-  function analyseRemote(peerId, stream) {
-    const ctx = new (window.AudioContext || window.webkitAudioContext)();
-    // Keep a reference for unlocking on mobile
-    audioContexts.push(ctx);
-    const analyser = ctx.createAnalyser();
-    // Use a smaller FFT size for reduced latency on remote streams
-    analyser.fftSize = 256;
-    const dataArray = new Uint8Array(analyser.frequencyBinCount);
-    const source = ctx.createMediaStreamSource(stream);
-    source.connect(analyser);
-    // Resume the context immediately; some browsers will otherwise
-    // suspend the processing graph until a user gesture occurs. The
-    // unlockAudio handler will also call resume() again later, but
-    // calling it here ensures speaking indicators start as soon as
-    // possible on platforms where it is allowed.
-    ctx.resume().catch(() => {});
-    function analyse() {
-      analyser.getByteFrequencyData(dataArray);
-      let sum = 0;
-      for (let i = 0; i < dataArray.length; i++) sum += dataArray[i];
-      const level = sum / dataArray.length;
-      // Increase the threshold slightly to reduce false positives from
-      // ambient noise. A value around 50 works well with the smaller
-      // window.
-      setSpeaking(peerId, level > 50);
-      requestAnimationFrame(analyse);
-    }
-    analyse();
+  // Matches http(s) links inside chat messages
+  const LINK_PATTERN = /https?:\/\/[^\s<>"']+/g;
+
+  // Append a chat message to the log. Names and text come from other
+  // users, so everything is inserted as text nodes; links are turned
+  // into anchors whose href is only ever an http(s) URL.
+  function appendChatMessage({ peerId, name, text, time }) {
+    const li = document.createElement('li');
+    li.className = 'chat-entry';
+    if (peerId === myPeerId) li.classList.add('chat-self');
+    const meta = document.createElement('span');
+    meta.className = 'chat-meta';
+    const stamp = new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    meta.textContent = `${name} · ${stamp}`;
+    li.appendChild(meta);
+    const body = document.createElement('span');
+    body.className = 'chat-text';
+    body.dir = 'auto';
+    let last = 0;
+    for (const match of text.matchAll(LINK_PATTERN)) {
+      body.appendChild(document.createTextNode(text.slice(last, match.index)));
+      const link = document.createElement('a');
+      link.href = match[0];
+      link.textContent = match[0];
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      body.appendChild(link);
+      last = match.index + match[0].length;
+    }
+    body.appendChild(document.createTextNode(text.slice(last)));
+    li.appendChild(body);
+    // Only follow new messages when the reader is already at the bottom
+    const atBottom = chatLogEl.scrollHeight - chatLogEl.scrollTop - chatLogEl.clientHeight < 8;
+    chatLogEl.appendChild(li);
+    if (atBottom) chatLogEl.scrollTop = chatLogEl.scrollHeight;
+  }
+
+  // Run a microphone stream through the processing chain (see
+  // audioPipeline.js) with the current settings
+  async function createAudioPipeline(stream) {
+    const pipeline = await window.NexusAudioPipeline.create(stream, Object.assign({}, processingSettings, {
+      gate: noiseEnabled
+    }));
+    // Resumed on the first user interaction where autoplay rules need it
+    if (pipeline.ctx) audioContexts.push(pipeline.ctx);
+    return pipeline;
   }
 
   // Check that getUserMedia is supported and request microphone access.
@@ -336,89 +682,14 @@
       throw new Error('getUserMedia not supported');
     }
     try {
-      const stream = await navigator.mediaDevices.getUserMedia(audioConstraints);
+      const stream = await navigator.mediaDevices.getUserMedia(getAudioConstraints());
+      micStream = stream;
       console.log('getUserMedia success', stream);
       console.log('localStream tracks', stream.getAudioTracks());
-      // Apply a dynamic noise gate based on RNNoise research. RNNoise
-      // operates on short frames (around 10 ms) and aims to suppress
-      // background noise without adding noticeable latency【28416536528651†L103-L107】. To approximate
-      // this behaviour within the browser, we create a Web Audio
-      // processing graph that analyses 10–20 ms frames and
-      // dynamically adjusts a gain node. The calibration step
-      // estimates the ambient noise floor and sets a threshold
-      // relative to that baseline. This yields a smarter gate that
-      // adapts to different environments.
-      async function createNoiseGate(micStream) {
-        try {
-          const ctx = new (window.AudioContext || window.webkitAudioContext)();
-          // Keep track of all AudioContext instances for later unlocking on
-          // mobile devices. Without pushing the context here it will remain
-          // suspended until a user gesture occurs, which would mute
-          // participants completely on some platforms.
-          audioContexts.push(ctx);
-          // Use a smaller FFT size (~256 samples) to reduce latency and
-          // improve gate responsiveness. At a 48 kHz sample rate this
-          // represents roughly 5 ms frames.
-          const analyser = ctx.createAnalyser();
-          analyser.fftSize = 256;
-          const source = ctx.createMediaStreamSource(micStream);
-          const gainNode = ctx.createGain();
-          source.connect(gainNode);
-          gainNode.connect(analyser);
-          const dest = ctx.createMediaStreamDestination();
-          gainNode.connect(dest);
-          const data = new Uint8Array(analyser.fftSize);
-          let baseline = 0;
-          let frameCount = 0;
-          let calibrating = true;
-          let enabled = true;
-          function update() {
-            analyser.getByteTimeDomainData(data);
-            let sumSquares = 0;
-            for (let i = 0; i < data.length; i++) {
-              const v = (data[i] - 128) / 128;
-              sumSquares += v * v;
-            }
-            const rms = Math.sqrt(sumSquares / data.length);
-            if (calibrating) {
-              baseline += rms;
-              frameCount++;
-              // Calibrate for roughly 100 ms (20 frames of 5 ms)
-              if (frameCount > 20) {
-                baseline = baseline / frameCount;
-                calibrating = false;
-              }
-            }
-            // Compute a dynamic threshold slightly above the noise floor.
-            const threshold = baseline * 1.3;
-            // When disabled always pass through. When enabled pass
-            // through only when the current RMS exceeds the threshold.
-            const targetGain = !enabled || rms > threshold ? 1 : 0;
-            // Use a small time constant to avoid audible pumping.
-            gainNode.gain.setTargetAtTime(targetGain, ctx.currentTime, 0.01);
-            requestAnimationFrame(update);
-          }
-          update();
-          ctx.resume().catch(() => {});
-          return {
-            processed: dest.stream,
-            enable(flag) {
-              enabled = flag;
-            },
-            ctx
-          };
-        } catch (e) {
-          console.warn('Noise gate setup failed', e);
-          return {
-            processed: micStream,
-            enable() {},
-            ctx: null
-          };
-        }
-      }
-      // Create the gate and set the processed stream as the localStream
-      noiseGateController = await createNoiseGate(stream);
-      localStream = noiseGateController.processed;
+      audioPipeline = await createAudioPipeline(stream);
+      localStream = audioPipeline.stream;
+      vad.watch(VAD_LOCAL, localStream);
+      audioContexts.push(vad.ctx);
     } catch (err) {
       console.error('getUserMedia error', err);
       if (err.name === 'NotAllowedError') {
@@ -443,84 +714,114 @@
     });
   }
 
-  // Handle device changes (e.g. user plugged in a new microphone)
-  navigator.mediaDevices.addEventListener('devicechange', async () => {
+  // Reacquire the microphone using the current input selection, run it
+  // through a fresh processing chain and swap the track on every
+  // connection
+  async function switchMicrophone() {
     try {
-      const newStream = await navigator.mediaDevices.getUserMedia(audioConstraints);
-      // Apply a new noise gate to the replaced stream
-      noiseGateController = await (async () => {
-        try {
-          const ctx = new (window.AudioContext || window.webkitAudioContext)();
-          // Track context for unlocking on mobile
-          audioContexts.push(ctx);
-          const analyser = ctx.createAnalyser();
-          analyser.fftSize = 256;
-          const source = ctx.createMediaStreamSource(newStream);
-          const gainNode = ctx.createGain();
-          source.connect(gainNode);
-          gainNode.connect(analyser);
-          const dest = ctx.createMediaStreamDestination();
-          gainNode.connect(dest);
-          const data = new Uint8Array(analyser.fftSize);
-          let baseline = 0;
-          let frameCount = 0;
-          let calibrating = true;
-          let enabled = noiseEnabled;
-          function update() {
-            analyser.getByteTimeDomainData(data);
-            let sumSquares = 0;
-            for (let i = 0; i < data.length; i++) {
-              const v = (data[i] - 128) / 128;
-              sumSquares += v * v;
-            }
-            const rms = Math.sqrt(sumSquares / data.length);
-            if (calibrating) {
-              baseline += rms;
-              frameCount++;
-              // Calibrate for approximately 100 ms
-              if (frameCount > 20) {
-                baseline = baseline / frameCount;
-                calibrating = false;
-              }
-            }
-            const threshold = baseline * 1.3;
-            const targetGain = !enabled || rms > threshold ? 1 : 0;
-            gainNode.gain.setTargetAtTime(targetGain, ctx.currentTime, 0.01);
-            requestAnimationFrame(update);
-          }
-          update();
-          ctx.resume().catch(() => {});
-          return {
-            processed: dest.stream,
-            enable(flag) {
-              enabled = flag;
-            },
-            ctx
-          };
-        } catch (e) {
-          console.warn('Noise gate setup failed', e);
-          return {
-            processed: newStream,
-            enable() {},
-            ctx: null
-          };
-        }
-      })();
-      const gated = noiseGateController.processed;
+      const newStream = await navigator.mediaDevices.getUserMedia(getAudioConstraints());
+      const previousPipeline = audioPipeline;
+      audioPipeline = await createAudioPipeline(newStream);
+      const gated = audioPipeline.stream;
       // Replace the track on all senders
       const newTrack = gated.getAudioTracks()[0];
       replaceTrack(newTrack);
-      // Stop old tracks and update the local reference
+      // Stop old tracks and update the local references
       if (localStream) {
         localStream.getTracks().forEach((t) => t.stop());
       }
+      if (micStream && micStream !== newStream) {
+        micStream.getTracks().forEach((t) => t.stop());
+      }
+      if (previousPipeline) previousPipeline.close();
+      micStream = newStream;
       localStream = gated;
-      startLocalAnalysis(gated);
+      localRecorder.setStream('local', gated);
+      // The new track starts enabled; reapply mute/push-to-talk state
+      applyMicState();
+      vad.watch(VAD_LOCAL, gated);
     } catch (err) {
-      console.error('Error while handling device change:', err);
+      console.error('Error while switching microphone:', err);
+    }
+  }
+
+  // Handle device changes (e.g. user plugged in a new microphone). When
+  // following the system default, or when the chosen microphone has
+  // disappeared, reacquire the input; otherwise just refresh the lists.
+  navigator.mediaDevices.addEventListener('devicechange', async () => {
+    const devices = await refreshDeviceLists();
+    const inputPresent = selectedInputId &&
+      devices.some((d) => d.kind === 'audioinput' && d.deviceId === selectedInputId);
+    if (!inputPresent) {
+      await switchMicrophone();
     }
   });
 
+  // Route a remote <audio> element to the chosen speaker. setSinkId is
+  // not available in every browser (notably older Safari and Firefox).
+  function applyOutputDevice(audioEl) {
+    if (typeof audioEl.setSinkId !== 'function') return;
+    audioEl.setSinkId(selectedOutputId).catch((err) => {
+      console.warn('Failed to set audio output device', err);
+    });
+  }
+
+  // Shared context for remote playback, created on first use
+  let playbackCtx = null;
+
+  // Route a remote stream through a per-peer GainNode so its volume can
+  // be boosted above 100%. Returns the stream the <audio> element should
+  // play (so setSinkId keeps working), or the original stream if Web
+  // Audio is unavailable. Chrome only pulls remote WebRTC audio into Web
+  // Audio while the stream is also attached to a media element, so the
+  // raw stream is kept on a muted element as well.
+  function routeThroughGain(remotePeerId, stream) {
+    const entry = remoteMedia[remotePeerId];
+    if (!entry) return stream;
+    try {
+      if (!playbackCtx) {
+        playbackCtx = new (window.AudioContext || window.webkitAudioContext)();
+        audioContexts.push(playbackCtx);
+        playbackCtx.resume().catch(() => {});
+      }
+      releasePlayback(entry);
+      const source = playbackCtx.createMediaStreamSource(stream);
+      const gain = playbackCtx.createGain();
+      const dest = playbackCtx.createMediaStreamDestination();
+      source.connect(gain).connect(dest);
+      const keepAlive = document.createElement('audio');
+      keepAlive.muted = true;
+      keepAlive.srcObject = stream;
+      Object.assign(entry, { source, gain, keepAlive });
+      return dest.stream;
+    } catch (err) {
+      console.warn('Per-peer gain unavailable', err);
+      return stream;
+    }
+  }
+
+  // Disconnect a peer's gain chain
+  function releasePlayback(entry) {
+    if (entry.source) entry.source.disconnect();
+    if (entry.keepAlive) entry.keepAlive.srcObject = null;
+    entry.source = entry.gain = entry.keepAlive = null;
+  }
+
+  // Stop playing, recording and showing what a participant sends
+  function releaseMedia(peerId) {
+    const entry = remoteMedia[peerId];
+    if (!entry) return;
+    releasePlayback(entry);
+    localRecorder.removeStream(peerId);
+    vad.unwatch(peerId);
+    if (entry.audio && entry.audio.parentNode) {
+      entry.audio.srcObject = null;
+      entry.audio.parentNode.removeChild(entry.audio);
+    }
+    delete remoteMedia[peerId];
+    if (entry.screenStream) renderScreens();
+  }
+
   // Create a new RTCPeerConnection for a remote peer
   function createPeerConnection(remotePeerId) {
     const pc = new RTCPeerConnection({
@@ -545,6 +846,11 @@
         });
       }
     }
+    // A connection made while we are sharing our screen carries it too
+    if (screenStream && !recorderIds.has(remotePeerId)) {
+      pc.addTrack(screenStream.getVideoTracks()[0], screenStream);
+    }
+    tuneConnection(pc);
     // Relay candidates to the remote peer
     pc.onicecandidate = (event) => {
       if (event.candidate) {
@@ -555,93 +861,460 @@
         console.log('sent ICE candidate to', remotePeerId, event.candidate);
       }
     };
-    // When a remote track arrives, create or update an <audio> element
-    pc.ontrack = ({ streams: [stream] }) => {
+    // When a remote track arrives, create or update an <audio> element.
+    // Video is always a shared screen and goes to the viewer panel.
+    pc.ontrack = ({ track, streams: [stream] }) => {
       console.log('ontrack fired', stream);
-      // Look for an existing audio element for this peer by data attribute
-      let audioEl = document.querySelector(`[data-audio="${remotePeerId}"]`);
+      if (!stream) return;
+      // Tracks relayed by the forwarder name their sender in the stream id
+      const sourceId = forwarderIds.has(remotePeerId) ? stream.id : remotePeerId;
+      if (!remoteMedia[sourceId]) remoteMedia[sourceId] = { via: remotePeerId };
+      const media = remoteMedia[sourceId];
+      media.via = remotePeerId;
+      if (track.kind === 'video') {
+        media.screenStream = stream;
+        renderScreens();
+        return;
+      }
+      let audioEl = media.audio;
       if (!audioEl) {
-          audioEl = document.createElement('audio');
-          audioEl.dataset.audio = remotePeerId;
-          audioEl.autoplay = true;
-          audioEl.playsInline = true;
-          audioEl.muted = false;
-          document.body.appendChild(audioEl);
-          // Save reference for removal when the peer leaves
-          if (peers[remotePeerId]) {
-            peers[remotePeerId].audio = audioEl;
-          }
+        audioEl = document.createElement('audio');
+        audioEl.dataset.audio = sourceId;
+        audioEl.autoplay = true;
+        audioEl.playsInline = true;
+        audioEl.muted = false;
+        applyOutputDevice(audioEl);
+        document.body.appendChild(audioEl);
+        // Save reference for removal when the peer leaves
+        media.audio = audioEl;
       }
-      audioEl.srcObject = stream;
+      audioEl.srcObject = routeThroughGain(sourceId, stream);
+      // The local recording takes the stream as received
+      media.remoteStream = stream;
+      localRecorder.setStream(sourceId, stream);
+      applyPeerAudio(sourceId);
       // Attempt to play, catching any exceptions
       const p = audioEl.play();
       if (p && typeof p.then === 'function') p.catch((err) => console.error(err));
       console.log('audioEl.srcObject', audioEl.srcObject);
-      // Analyse the remote stream for speaking indicator
-      analyseRemote(remotePeerId, stream);
+      // Watch the remote stream for the speaking indicator
+      vad.watch(sourceId, stream);
     };
-    // Log ICE connection state changes
+    // Perfect negotiation: whenever the connection needs (re)negotiating,
+    // e.g. after a track is added or restartIce() is called, send an
+    // offer. Collisions with an offer from the other side are resolved
+    // in the `signal` handler.
+    pc.onnegotiationneeded = () => negotiate(remotePeerId, pc);
+    // Log ICE connection state changes and drive recovery
     pc.oniceconnectionstatechange = () => {
       console.log('ICE state:', pc.iceConnectionState);
+      handleIceState(remotePeerId, pc);
     };
     return pc;
   }
 
-  // Start negotiating with a remote peer. If createOffer is true, this peer
-  // initiates the offer; otherwise it waits for the offer.
-  async function ensurePeerConnection(remotePeerId, remoteName, createOffer = false) {
+  // Send a peer an offer for its current connection
+  async function negotiate(remotePeerId, pc) {
+    const entry = peers[remotePeerId];
+    if (!entry || entry.pc !== pc) return;
+    try {
+      entry.makingOffer = true;
+      await setLocalDescription(pc);
+      console.log('emit offer to', remotePeerId, pc.localDescription);
+      socket.emit('signal', {
+        targetPeerId: remotePeerId,
+        data: pc.localDescription.toJSON()
+      });
+    } catch (err) {
+      console.error('Failed to create offer:', err);
+    } finally {
+      entry.makingOffer = false;
+    }
+  }
+
+  // setLocalDescription() for the current signalling state, with our
+  // receive preferences written into the Opus parameters
+  async function setLocalDescription(pc) {
+    const description = pc.signalingState === 'have-remote-offer'
+      ? await pc.createAnswer()
+      : await pc.createOffer();
+    await pc.setLocalDescription({
+      type: description.type,
+      sdp: AudioProfiles.tuneSdp(description.sdp, AudioProfiles.RECEIVE_PARAMETERS)
+    });
+  }
+
+  // A remote description with our audio profile written into its Opus
+  // parameters, which our encoder follows
+  function tuneRemoteDescription({ type, sdp }) {
+    const profile = AudioProfiles.PROFILES[audioProfile];
+    return { type, sdp: AudioProfiles.tuneSdp(sdp, AudioProfiles.sendParameters(profile)) };
+  }
+
+  // Prefer Opus on a connection's audio transceivers and apply our send
+  // settings to its audio sender
+  function tuneConnection(pc) {
+    pc.getTransceivers().forEach((transceiver) => {
+      if (transceiver.receiver.track.kind === 'audio') AudioProfiles.preferOpus(transceiver);
+    });
+    applyAudioSending(pc);
+  }
+
+  // Cap the bitrate of a connection's audio sender at the current
+  // profile's, and pause it while sendingPaused is set
+  function applyAudioSending(pc) {
+    const profile = AudioProfiles.PROFILES[audioProfile];
+    pc.getSenders().forEach((sender) => {
+      if (!sender.track || sender.track.kind !== 'audio') return;
+      AudioProfiles.applySenderParameters(sender, profile, !sendingPaused).catch((err) => {
+        console.warn('Failed to apply audio sender parameters', err);
+      });
+    });
+  }
+
+  /*
+   * Perfect negotiation roles. Exactly one side of each pair is
+   * "polite": on an offer collision it rolls back its own offer and
+   * accepts the remote one, while the impolite side ignores the incoming
+   * offer and keeps its own. Roles follow the peerId ordering so both
+   * sides agree without extra messages; the forwarder is always
+   * impolite.
+   */
+  function isPolite(remotePeerId) {
+    return forwarderIds.has(remotePeerId) || myPeerId > remotePeerId;
+  }
+
+  // Whether we connect to a peer at all: everyone in a mesh room, only
+  // the forwarder and the recorder in a forwarded one
+  function connectsTo(peerId) {
+    return !forwarded || forwarderIds.has(peerId) || recorderIds.has(peerId);
+  }
+
+  // Create the entry for a remote peer: its connection, name and the
+  // negotiation state used by the `signal` handler. ICE candidates that
+  // arrive before the remote description are buffered in
+  // pendingCandidates.
+  function createPeerEntry(remotePeerId, name, recovery = null) {
+    peers[remotePeerId] = {
+      pc: null,
+      name,
+      recovery,
+      makingOffer: false,
+      ignoreOffer: false,
+      pendingCandidates: []
+    };
+    // Assign after the entry exists so the first negotiationneeded event
+    // can find it
+    peers[remotePeerId].pc = createPeerConnection(remotePeerId);
+    return peers[remotePeerId];
+  }
+
+  // Make sure a connection to a remote peer exists. Negotiation starts by
+  // itself through onnegotiationneeded once the local track is added.
+  function ensurePeerConnection(remotePeerId, remoteName) {
     if (!peers[remotePeerId]) {
-      peers[remotePeerId] = {
-        pc: createPeerConnection(remotePeerId),
-        name: remoteName
-      };
+      createPeerEntry(remotePeerId, remoteName);
+    } else if (remoteName && !peers[remotePeerId].name) {
+      // The entry may have been created by an early signal without a name
+      peers[remotePeerId].name = remoteName;
+      applyPeerAudio(remotePeerId);
     }
-    if (createOffer) {
+    return peers[remotePeerId];
+  }
+
+  // Close a peer connection and release everything attached to it
+  function closePeer(peerId) {
+    const entry = peers[peerId];
+    if (!entry) return;
+    clearTimeout(entry.disconnectTimer);
+    if (entry.recovery) clearTimeout(entry.recovery.timer);
+    entry.pc.close();
+    // Release the media that arrived over this connection
+    Object.keys(remoteMedia).forEach((id) => {
+      if (remoteMedia[id].via === peerId) releaseMedia(id);
+    });
+    delete peers[peerId];
+  }
+
+  /*
+   * Peer connection recovery.
+   *
+   * Each peer entry may carry a `recovery` record while its connection is
+   * being repaired:
+   *
+   *   failed, or disconnected for DISCONNECT_GRACE ms
+   *     -> 'restart': restartIce(), wait RESTART_TIMEOUT ms
+   *     -> 'rebuild': close the RTCPeerConnection, tell the remote side
+   *        to do the same with a `reset` signal, and negotiate a fresh one
+   *        through ensurePeerConnection; retried up to MAX_REBUILDS times
+   *     -> given up, shown as failed until the connection comes back
+   *
+   * Reaching `connected`/`completed` at any point ends recovery. Only the
+   * peer with the lower peerId restarts ICE and sends resets; the other
+   * side just follows, and perfect negotiation absorbs any overlap. While
+   * the signalling socket is down the record is parked and resumed once
+   * we are back in the room.
+   */
+  const DISCONNECT_GRACE = 5000;
+  const RESTART_TIMEOUT = 10000;
+  const MAX_REBUILDS = 3;
+
+  function isRecoveryInitiator(remotePeerId) {
+    return forwarderIds.has(remotePeerId) || myPeerId < remotePeerId;
+  }
+
+  // Show or clear a status note on a peer's list entry
+  function setPeerStatus(peerId, status) {
+    const li = peerListEl.querySelector(`[data-peer-id="${peerId}"]`);
+    if (!li) return;
+    let statusEl = li.querySelector('.peer-status');
+    if (!statusEl) {
+      statusEl = document.createElement('span');
+      statusEl.className = 'peer-status';
+      li.querySelector('.peer-name').after(statusEl);
+    }
+    li.classList.toggle('peer-reconnecting', status === 'reconnecting');
+    li.classList.toggle('peer-failed', status === 'failed');
+    const labels = { reconnecting: 'جارٍ إعادة الاتصال…', failed: 'تعذر الاتصال' };
+    statusEl.textContent = labels[status] || '';
+  }
+
+  function handleIceState(remotePeerId, pc) {
+    const entry = peers[remotePeerId];
+    // Ignore events from a connection that has since been replaced
+    if (!entry || entry.pc !== pc) return;
+    const state = pc.iceConnectionState;
+    clearTimeout(entry.disconnectTimer);
+    if (state === 'connected' || state === 'completed') {
+      finishRecovery(remotePeerId);
+    } else if (state === 'failed') {
+      startRecovery(remotePeerId);
+    } else if (state === 'disconnected') {
+      // Brief disconnections often heal on their own
+      entry.disconnectTimer = setTimeout(() => {
+        if (peers[remotePeerId] === entry && pc.iceConnectionState === 'disconnected') {
+          startRecovery(remotePeerId);
+        }
+      }, DISCONNECT_GRACE);
+    }
+  }
+
+  function startRecovery(remotePeerId, stage = 'restart') {
+    const entry = peers[remotePeerId];
+    if (!entry || entry.recovery) return;
+    entry.recovery = { stage, rebuilds: 0, timer: null, parked: false };
+    setPeerStatus(remotePeerId, 'reconnecting');
+    runRecovery(remotePeerId);
+  }
+
+  function finishRecovery(remotePeerId) {
+    const entry = peers[remotePeerId];
+    if (!entry) return;
+    if (entry.recovery) {
+      clearTimeout(entry.recovery.timer);
+      entry.recovery = null;
+    }
+    setPeerStatus(remotePeerId, null);
+  }
+
+  // Advance the recovery state machine by one step
+  function runRecovery(remotePeerId) {
+    const entry = peers[remotePeerId];
+    if (!entry || !entry.recovery) return;
+    const recovery = entry.recovery;
+    clearTimeout(recovery.timer);
+    if (!socket.connected) {
+      recovery.parked = true;
+      return;
+    }
+    recovery.parked = false;
+    if (recovery.stage === 'restart') {
+      recovery.stage = 'rebuild';
+      recovery.timer = setTimeout(() => runRecovery(remotePeerId), RESTART_TIMEOUT);
+      if (isRecoveryInitiator(remotePeerId)) {
+        // Triggers onnegotiationneeded with an ICE restart offer
+        entry.pc.restartIce();
+      }
+      return;
+    }
+    if (recovery.rebuilds >= MAX_REBUILDS) {
+      setPeerStatus(remotePeerId, 'failed');
+      return;
+    }
+    recovery.rebuilds += 1;
+    if (isRecoveryInitiator(remotePeerId)) {
+      socket.emit('signal', { targetPeerId: remotePeerId, data: { type: 'reset' } });
+      const rebuilt = rebuildPeerConnection(remotePeerId);
+      rebuilt.recovery.timer = setTimeout(() => runRecovery(remotePeerId), RESTART_TIMEOUT);
+    } else {
+      recovery.timer = setTimeout(() => runRecovery(remotePeerId), RESTART_TIMEOUT);
+    }
+  }
+
+  // Replace a peer's RTCPeerConnection with a fresh one, keeping its name
+  // and recovery record. The new connection negotiates by itself.
+  // Returns the new entry.
+  function rebuildPeerConnection(remotePeerId) {
+    const { name, recovery } = peers[remotePeerId];
+    if (recovery) clearTimeout(recovery.timer);
+    closePeer(remotePeerId);
+    return createPeerEntry(remotePeerId, name, recovery);
+  }
+
+  // Close every peer connection, e.g. when our identity changed after
+  // the signalling socket reconnected
+  function closeAllPeers() {
+    Object.keys(peers).forEach(closePeer);
+  }
+
+  /*
+   * Connection quality polling. Every STATS_INTERVAL ms each peer
+   * connection's getStats() report is summarised by NexusStats and shown
+   * on the peer's badge. When the server asks for it (`statsReporting`
+   * in `welcome`), every STATS_REPORT_EVERY polls the summaries are sent
+   * to the server so an operator can see them.
+   */
+  const STATS_INTERVAL = 2000;
+  const STATS_REPORT_EVERY = 5;
+  let statsReporting = false;
+  let statsPolls = 0;
+
+  async function pollStats() {
+    statsPolls += 1;
+    const report = statsReporting && statsPolls % STATS_REPORT_EVERY === 0;
+    await Promise.all(Object.entries(peers).map(async ([peerId, entry]) => {
       try {
-        const pc = peers[remotePeerId].pc;
-        const offer = await pc.createOffer();
-        await pc.setLocalDescription(offer);
-        console.log('emit offer to', remotePeerId, offer);
-        socket.emit('signal', {
-          targetPeerId: remotePeerId,
-          data: pc.localDescription.toJSON()
-        });
+        const stats = await entry.pc.getStats();
+        entry.stats = window.NexusStats.summarise(stats, entry.stats);
+        // Everybody's audio comes over the forwarder's connection, so
+        // its quality is what every participant's badge shows
+        if (forwarderIds.has(peerId)) {
+          Object.keys(peerNames).forEach((id) => renderQuality(id, entry.stats));
+        } else {
+          renderQuality(peerId, entry.stats);
+        }
+        if (report) {
+          const { rtt, jitter, packetLoss, bitrate, route } = entry.stats;
+          socket.emit('stats-report', {
+            targetPeerId: peerId,
+            summary: { rtt, jitter, packetLoss, bitrate, route }
+          });
+        }
       } catch (err) {
-        console.error('Failed to create offer:', err);
+        console.warn('getStats failed for', peerId, err);
       }
-    }
+    }));
+    adaptAudioProfile();
   }
 
+  setInterval(pollStats, STATS_INTERVAL);
+
   // Socket.IO event handlers
-  socket.on('welcome', ({ peerId, iceServers: servers, icePolicy: policy }) => {
+  socket.on('welcome', (welcome) => {
+    const { peerId, iceServers: servers, icePolicy: policy, iceExpiresAt } = welcome;
+    // If the session could not be resumed after a reconnect the server
+    // gave us a new peerId. The other peers drop connections to our old
+    // id, so start over; they will negotiate again when they see us join.
+    if (myPeerId && myPeerId !== peerId) {
+      closeAllPeers();
+    }
     myPeerId = peerId;
+    resumeToken = welcome.resumeToken || null;
+    statsReporting = Boolean(welcome.statsReporting);
+    recordingEnabled = Boolean(welcome.recordingEnabled);
     iceServers = servers || [];
     icePolicy = policy || 'all';
-    // Start analysing local audio now that we have our own peerId
-    if (localStream) {
-      startLocalAnalysis(localStream);
-    }
+    scheduleIceRefresh(iceExpiresAt);
+    // A resumed session is still in the room; the server follows up with
+    // `peer-list` so existing connections can be checked and repaired
+    if (welcome.resumed) return;
     // Announce ourselves to the server
-    socket.emit('join', { name: username });
+    socket.emit('join', { name: username, room: roomId });
+  });
+
+  // Fresh TURN credentials: use them for new connections and hand them
+  // to existing ones so later ICE gathering can still reach the relay
+  socket.on('ice-config', ({ iceServers: servers, icePolicy: policy, expiresAt }) => {
+    iceServers = servers || [];
+    icePolicy = policy || 'all';
+    Object.values(peers).forEach(({ pc }) => {
+      try {
+        pc.setConfiguration({ ...pc.getConfiguration(), iceServers });
+      } catch (err) {
+        console.warn('Failed to update ICE servers', err);
+      }
+    });
+    scheduleIceRefresh(expiresAt);
   });
 
   socket.on('peer-list', (list) => {
     // Render the full list in the UI
     renderPeerList(list);
-    // For each peer create or update a connection
-    list.forEach(({ peerId, name }) => {
+    // Announce our own microphone state (push-to-talk starts closed),
+    // audio profile and voice activity, and a local recording or screen
+    // share still running from before a reconnect
+    applyMicState(true);
+    announceAudioProfile();
+    if (vad.isSpeaking(VAD_LOCAL)) socket.emit('speaking', { speaking: true });
+    if (localRecorder.active) socket.emit('local-recording', { recording: true });
+    if (screenStream) socket.emit('screen-share', { sharing: true });
+    // Drop connections to peers that are no longer in the room
+    Object.keys(peers).forEach((peerId) => {
+      if (!list.some((p) => p.peerId === peerId)) closePeer(peerId);
+    });
+    // Likewise media relayed by the forwarder from people who have left
+    Object.keys(remoteMedia).forEach((peerId) => {
+      if (!list.some((p) => p.peerId === peerId)) releaseMedia(peerId);
+    });
+    sharingIds.clear();
+    // Stop events may have been missed while disconnected
+    announcedSpeaking.clear();
+    list.forEach((p) => {
+      if (p.sharing && p.peerId !== myPeerId) sharingIds.add(p.peerId);
+      if (p.recorder) recorderIds.add(p.peerId);
+      if (p.forwarder) forwarderIds.add(p.peerId);
+    });
+    renderScreens();
+    // For each peer create or update a connection. The recorder gets our
+    // audio track like everyone else but no list entry. In a forwarded
+    // room only the forwarder and the recorder get a connection.
+    list.forEach(({ peerId, name, muted, recorder, forwarder, localRecording }) => {
       if (peerId === myPeerId) return;
-      addPeerToList(peerId, name);
-      // Create a peer connection but do not offer; the existing
-      // participants will initiate negotiation when a new peer joins.
-      ensurePeerConnection(peerId, name, /*createOffer=*/false);
+      if (!recorder && !forwarder) {
+        updateMuteStatus(peerId, muted);
+        addPeerToList(peerId, name);
+        updateLocalRecording(peerId, localRecording);
+      }
+      if (!connectsTo(peerId)) return;
+      const entry = peers[peerId];
+      if (entry) {
+        // Still connected from before the signalling socket dropped:
+        // resume parked recovery or repair connections that broke
+        // meanwhile
+        if (entry.recovery) {
+          setPeerStatus(peerId, 'reconnecting');
+          if (entry.recovery.parked) runRecovery(peerId);
+        } else if (['failed', 'disconnected'].includes(entry.pc.iceConnectionState)) {
+          startRecovery(peerId);
+        }
+        return;
+      }
+      // Create a peer connection; negotiation starts on its own and any
+      // collision with the existing participants' offers is resolved by
+      // perfect negotiation
+      ensurePeerConnection(peerId, name);
     });
   });
 
-  socket.on('peer-joined', ({ peerId, name }) => {
-    addPeerToList(peerId, name);
+  socket.on('peer-joined', ({ peerId, name, recorder, forwarder }) => {
+    if (recorder) recorderIds.add(peerId);
+    if (forwarder) forwarderIds.add(peerId);
     // Initiate a connection to the new peer
-    ensurePeerConnection(peerId, name, true);
+    if (connectsTo(peerId)) ensurePeerConnection(peerId, name);
+    // The recorder is announced by the recording indicator, the
+    // forwarder not at all
+    if (recorder || forwarder) return;
+    addPeerToList(peerId, name);
     // Play a short tone to indicate someone joined
     playBeep(880);
   });
@@ -649,34 +1322,109 @@
   socket.on('peer-left', ({ peerId }) => {
     // Remove the peer from the UI
     removePeerFromList(peerId);
-    // Close and delete the peer connection
-    const entry = peers[peerId];
-    if (entry) {
-      entry.pc.close();
-      // Remove any associated audio element
-      if (entry.audio && entry.audio.parentNode) {
-        entry.audio.srcObject = null;
-        entry.audio.parentNode.removeChild(entry.audio);
-      }
-      delete peers[peerId];
-    }
+    // Close and delete the peer connection, and drop what the forwarder
+    // relayed from them
+    closePeer(peerId);
+    releaseMedia(peerId);
+    recorderIds.delete(peerId);
+    forwarderIds.delete(peerId);
+    announcedSpeaking.delete(peerId);
+    if (sharingIds.delete(peerId)) renderScreens();
     // Play a lower tone to indicate someone left
     playBeep(440);
   });
 
-  // If the server rejects our name because it is already in use, alert the
-  // user and redirect back to the lobby. This should rarely happen because
-  // the lobby prevents selecting occupied names, but it serves as a safety
-  // net for race conditions.
-  socket.on('join-error', ({ message }) => {
-    alert(message || 'الاسم غير متاح');
+  // If the server refuses to let us in (the room is locked, we are
+  // banned, the name is in use or the room id is invalid), alert the
+  // user and redirect back to the lobby. Only when the session itself is
+  // at fault (missing or expired, issued for another name or for a name
+  // no longer in the directory) is it dropped; otherwise the user stays
+  // logged in and can pick a room again. Name clashes should rarely
+  // happen because the lobby prevents selecting occupied names, but this
+  // serves as a safety net for race conditions.
+  socket.on('join-error', ({ code, message }) => {
+    alert(message || 'تعذر الانضمام إلى الغرفة');
     // Clean up local resources
     if (localStream) {
       localStream.getTracks().forEach((t) => t.stop());
     }
     socket.disconnect();
-    sessionStorage.removeItem('username');
-    window.location.href = '/';
+    if (['unauthenticated', 'session-mismatch', 'unknown-name'].includes(code)) {
+      sessionStorage.removeItem('username');
+      sessionStorage.removeItem('token');
+    }
+    window.location.href = lobbyUrl;
+  });
+
+  // Moderators, forced mutes, the room lock and the running recording.
+  // A moderator muting us closes our microphone until they release it.
+  socket.on('room-state', ({ locked, moderators, forceMuted, recording: current, forwarded: isForwarded }) => {
+    forwarded = Boolean(isForwarded);
+    roomLocked = locked;
+    moderatorIds = moderators;
+    forceMutedIds = forceMuted;
+    isModerator = moderators.includes(myPeerId);
+    recording = current || null;
+    renderModeration();
+    renderRecording();
+    const wasForced = isForceMuted;
+    isForceMuted = forceMuted.includes(myPeerId);
+    if (wasForced !== isForceMuted) {
+      muteBtn.disabled = isForceMuted;
+      applyMicState(true);
+      if (isForceMuted) alert('قام المشرف بكتم الميكروفون');
+    }
+  });
+
+  // A moderator (or an operator) removed us from the room. The session
+  // stays valid, so return to the lobby still logged in.
+  socket.on('kicked', ({ reason, by }) => {
+    alert(reason === 'ban'
+      ? `قام ${by} بحظرك من الغرفة مؤقتًا`
+      : `قام ${by} بإخراجك من الغرفة`);
+    closeAllPeers();
+    if (localStream) {
+      localStream.getTracks().forEach((t) => t.stop());
+    }
+    window.location.href = lobbyUrl;
+  });
+
+  // The server refused one of our events (bad payload, rate limit or an
+  // unknown peer). Chat refusals are shown in the chat log so the user
+  // knows the message was not delivered and refused moderation commands
+  // are reported; the rest only matter for debugging.
+  socket.on('event-error', ({ event, code, message }) => {
+    console.warn(`server rejected ${event}: ${code}`);
+    if (event === 'chat-message') {
+      const li = document.createElement('li');
+      li.className = 'chat-entry chat-notice';
+      li.textContent = message;
+      chatLogEl.appendChild(li);
+      chatLogEl.scrollTop = chatLogEl.scrollHeight;
+    } else if (['kick', 'force-mute', 'lock-room', 'ban', 'start-recording', 'stop-recording'].includes(event)) {
+      alert(message);
+    }
+  });
+
+  // Notices broadcast by an operator from the admin dashboard
+  socket.on('notice', ({ text }) => {
+    const li = document.createElement('li');
+    li.className = 'chat-entry chat-notice admin-notice';
+    li.dir = 'auto';
+    li.textContent = `تنبيه: ${text}`;
+    chatLogEl.appendChild(li);
+    chatLogEl.scrollTop = chatLogEl.scrollHeight;
+  });
+
+  // Recent messages replayed by the server when we join
+  socket.on('chat-history', (messages) => {
+    chatLogEl.innerHTML = '';
+    messages.forEach(appendChatMessage);
+    chatLogEl.scrollTop = chatLogEl.scrollHeight;
+  });
+
+  socket.on('chat-message', (message) => {
+    appendChatMessage(message);
   });
 
   // Update the UI when a remote peer mutes or unmutes themselves
@@ -684,84 +1432,616 @@
     updateMuteStatus(peerId, muted);
   });
 
+  // Another participant started or stopped recording on their device
+  socket.on('local-recording', ({ peerId, recording }) => {
+    updateLocalRecording(peerId, recording);
+  });
+
+  socket.on('speaking', ({ peerId, speaking }) => {
+    if (speaking) announcedSpeaking.add(peerId);
+    else announcedSpeaking.delete(peerId);
+    setSpeaking(peerId);
+  });
+
+  socket.on('audio-profile', ({ peerId, profile, auto }) => {
+    updateAudioProfile(peerId, { profile, auto });
+  });
+
+  // Another participant started or stopped sharing their screen. The
+  // video arrives separately through renegotiation.
+  socket.on('screen-share', ({ peerId, sharing }) => {
+    if (sharing) {
+      sharingIds.add(peerId);
+    } else {
+      sharingIds.delete(peerId);
+      // The next share arrives as a new track
+      if (remoteMedia[peerId]) remoteMedia[peerId].screenStream = null;
+    }
+    renderScreens();
+  });
+
   socket.on('signal', async ({ from, data }) => {
     console.log('received signal from', from, data);
-    let entry = peers[from];
-    if (!entry) {
-      entry = peers[from] = {
-        pc: createPeerConnection(from),
-        name: ''
-      };
+    // The remote side is rebuilding our connection: drop ours and wait
+    // for its fresh offer
+    if (data.type === 'reset') {
+      if (!peers[from]) return;
+      const rebuilt = rebuildPeerConnection(from);
+      if (rebuilt.recovery) {
+        rebuilt.recovery.stage = 'rebuild';
+        runRecovery(from);
+      } else {
+        startRecovery(from, 'rebuild');
+      }
+      return;
     }
+    const entry = peers[from] || createPeerEntry(from, '');
     const pc = entry.pc;
     try {
-      if (data.type === 'offer') {
-        // Remote peer is initiating; set remote description and answer
-        await pc.setRemoteDescription(new RTCSessionDescription(data));
-        const answer = await pc.createAnswer();
-        await pc.setLocalDescription(answer);
-        console.log('emit answer to', from, answer);
-        socket.emit('signal', {
-          targetPeerId: from,
-          data: pc.localDescription.toJSON()
-        });
-      } else if (data.type === 'answer') {
-        await pc.setRemoteDescription(new RTCSessionDescription(data));
+      if (data.type === 'offer' || data.type === 'answer') {
+        // Perfect negotiation: an incoming offer collides with ours when
+        // we are making one or are not in a stable state. The impolite
+        // side ignores it; the polite side rolls back its own offer.
+        const offerCollision = data.type === 'offer' &&
+          (entry.makingOffer || pc.signalingState !== 'stable');
+        entry.ignoreOffer = !isPolite(from) && offerCollision;
+        if (entry.ignoreOffer) {
+          console.log('ignoring colliding offer from', from);
+          return;
+        }
+        // Our offer may still be being created, in which case there is
+        // nothing to roll back yet and applying it will fail instead
+        if (offerCollision && pc.signalingState !== 'stable') {
+          await pc.setLocalDescription({ type: 'rollback' });
+        }
+        await pc.setRemoteDescription(tuneRemoteDescription(data));
+        if (data.type === 'answer') tuneConnection(pc);
+        // Apply candidates that arrived before the remote description
+        const pending = entry.pendingCandidates.splice(0);
+        for (const candidate of pending) {
+          await pc.addIceCandidate(candidate).catch((err) => {
+            console.warn('Failed to add buffered ICE candidate', err);
+          });
+        }
+        if (data.type === 'offer') {
+          // Remote peer is initiating; answer it
+          tuneConnection(pc);
+          await setLocalDescription(pc);
+          console.log('emit answer to', from, pc.localDescription);
+          socket.emit('signal', {
+            targetPeerId: from,
+            data: pc.localDescription.toJSON()
+          });
+        }
       } else if (data.candidate) {
-        await pc.addIceCandidate(new RTCIceCandidate(data.candidate));
+        const candidate = new RTCIceCandidate(data.candidate);
+        if (!pc.remoteDescription) {
+          entry.pendingCandidates.push(candidate);
+          return;
+        }
+        try {
+          await pc.addIceCandidate(candidate);
+        } catch (err) {
+          // Candidates belonging to an offer we ignored are expected to fail
+          if (!entry.ignoreOffer) throw err;
+        }
       }
     } catch (err) {
       console.error('Error handling signal', err);
     }
   });
 
-  // Re-join on reconnection
-  socket.io.on('reconnect', () => {
-    if (username) {
-      socket.emit('join', { name: username });
-    }
+  // Leave the room explicitly when the page goes away, so the server
+  // removes us at once instead of holding our session for resumption
+  window.addEventListener('pagehide', () => {
+    socket.disconnect();
   });
 
-  // UI interactions
-  muteBtn.addEventListener('click', () => {
-    isMuted = !isMuted;
+  /*
+   * Push-to-talk. When enabled the microphone only transmits while the
+   * configured key (a KeyboardEvent.code, persisted in localStorage) or
+   * the on-screen hold button is pressed. The mute toggle still acts as
+   * a master switch on top of it. Both paths end in applyMicState(),
+   * which sets track.enabled on the current local track (the output of
+   * the noise gate) and broadcasts the open/closed state through the
+   * existing `mute` event, so peers see the indicator.
+   */
+  const pttBtn = document.getElementById('ptt-btn');
+  const pttKeyBtn = document.getElementById('ptt-key-btn');
+  const pttHoldBtn = document.getElementById('ptt-hold-btn');
+  let pttEnabled = localStorage.getItem('pttEnabled') === 'true';
+  let pttKey = localStorage.getItem('pttKey') || 'Space';
+  // True while the hotkey or hold button is pressed
+  let pttActive = false;
+  // True while waiting for the user to press the new hotkey
+  let capturingPttKey = false;
+  // Last mute state sent to the server, to avoid redundant broadcasts
+  let lastSentMuted = null;
+
+  // Enable or disable the local track according to the mute and
+  // push-to-talk state, update our own entry and notify the room when
+  // the state changes (or always when force is true).
+  function applyMicState(force = false) {
+    const transmitting = !isMuted && !isForceMuted && (!pttEnabled || pttActive);
     if (localStream) {
       localStream.getAudioTracks().forEach((track) => {
-        track.enabled = !isMuted;
+        track.enabled = transmitting;
       });
     }
+    updateMuteStatus(myPeerId, !transmitting);
+    if (force || lastSentMuted !== !transmitting) {
+      lastSentMuted = !transmitting;
+      socket.emit('mute', { muted: !transmitting });
+    }
+  }
+
+  function updatePttUi() {
+    pttBtn.textContent = pttEnabled ? 'إيقاف الضغط للتحدث' : 'الضغط للتحدث';
+    pttKeyBtn.textContent = capturingPttKey ? 'اضغط المفتاح الجديد…' : `مفتاح التحدث: ${pttKey}`;
+    pttKeyBtn.hidden = !pttEnabled;
+    pttHoldBtn.hidden = !pttEnabled;
+    pttHoldBtn.classList.toggle('active', pttActive);
+  }
+
+  function setPttActive(active) {
+    if (pttActive === active) return;
+    pttActive = active;
+    updatePttUi();
+    applyMicState();
+  }
+
+  // Ignore the hotkey while typing, e.g. in the chat box
+  function isTypingTarget(target) {
+    return target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+  }
+
+  pttBtn.addEventListener('click', () => {
+    pttEnabled = !pttEnabled;
+    pttActive = false;
+    localStorage.setItem('pttEnabled', String(pttEnabled));
+    updatePttUi();
+    applyMicState();
+  });
+
+  pttKeyBtn.addEventListener('click', () => {
+    capturingPttKey = true;
+    updatePttUi();
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (capturingPttKey) {
+      event.preventDefault();
+      capturingPttKey = false;
+      // Escape cancels the capture and keeps the current key
+      if (event.code !== 'Escape') {
+        pttKey = event.code;
+        localStorage.setItem('pttKey', pttKey);
+      }
+      updatePttUi();
+      return;
+    }
+    if (!pttEnabled || event.code !== pttKey || isTypingTarget(event.target)) return;
+    // Stop the key from scrolling the page or clicking a focused button
+    event.preventDefault();
+    if (!event.repeat) setPttActive(true);
+  });
+
+  document.addEventListener('keyup', (event) => {
+    if (!pttEnabled || event.code !== pttKey) return;
+    event.preventDefault();
+    setPttActive(false);
+  });
+
+  // Releasing the key in another window never fires keyup here
+  window.addEventListener('blur', () => setPttActive(false));
+
+  // On-screen hold button for touch devices. Pointer capture keeps the
+  // release event even if the finger slides off the button.
+  pttHoldBtn.addEventListener('pointerdown', (event) => {
+    event.preventDefault();
+    pttHoldBtn.setPointerCapture(event.pointerId);
+    setPttActive(true);
+  });
+  ['pointerup', 'pointercancel', 'lostpointercapture'].forEach((type) => {
+    pttHoldBtn.addEventListener(type, () => setPttActive(false));
+  });
+  // Prevent the long-press context menu on mobile
+  pttHoldBtn.addEventListener('contextmenu', (event) => event.preventDefault());
+
+  updatePttUi();
+
+  /*
+   * Device settings panel. Lists microphones and speakers reported by
+   * enumerateDevices(). Switching the microphone goes through
+   * switchMicrophone() and therefore replaceTrack(), so no renegotiation
+   * is needed; switching the speaker calls setSinkId on every remote
+   * audio element. Both choices are stored in localStorage, as are the
+   * microphone processing levels, which apply to the running chain.
+   */
+  const settingsBtn = document.getElementById('settings-btn');
+  const settingsPanel = document.getElementById('settings-panel');
+  const inputSelect = document.getElementById('input-select');
+  const outputSelect = document.getElementById('output-select');
+  const outputSupported = typeof HTMLMediaElement.prototype.setSinkId === 'function';
+
+  // Fill a <select> with devices of one kind, keeping the current choice
+  function fillDeviceSelect(select, devices, selectedId) {
+    select.innerHTML = '';
+    const fallback = document.createElement('option');
+    fallback.value = '';
+    fallback.textContent = 'الافتراضي';
+    select.appendChild(fallback);
+    devices.forEach((device, index) => {
+      // The "default" pseudo-device duplicates the entry above
+      if (device.deviceId === 'default' || !device.deviceId) return;
+      const option = document.createElement('option');
+      option.value = device.deviceId;
+      option.textContent = device.label || `جهاز ${index + 1}`;
+      select.appendChild(option);
+    });
+    select.value = Array.from(select.options).some((o) => o.value === selectedId) ? selectedId : '';
+  }
+
+  // Re-read the device list and refresh both selects. Returns the list.
+  async function refreshDeviceLists() {
+    let devices = [];
+    try {
+      devices = await navigator.mediaDevices.enumerateDevices();
+    } catch (err) {
+      console.warn('enumerateDevices failed', err);
+    }
+    fillDeviceSelect(inputSelect, devices.filter((d) => d.kind === 'audioinput'), selectedInputId);
+    fillDeviceSelect(outputSelect, devices.filter((d) => d.kind === 'audiooutput'), selectedOutputId);
+    return devices;
+  }
+
+  settingsBtn.addEventListener('click', () => {
+    settingsPanel.hidden = !settingsPanel.hidden;
+    if (!settingsPanel.hidden) refreshDeviceLists();
+  });
+
+  inputSelect.addEventListener('change', async () => {
+    selectedInputId = inputSelect.value;
+    localStorage.setItem('audioInputId', selectedInputId);
+    await switchMicrophone();
+  });
+
+  outputSelect.disabled = !outputSupported;
+  outputSelect.addEventListener('change', () => {
+    selectedOutputId = outputSelect.value;
+    localStorage.setItem('audioOutputId', selectedOutputId);
+    Object.values(remoteMedia).forEach(({ audio }) => {
+      if (audio) applyOutputDevice(audio);
+    });
+  });
+
+  refreshDeviceLists();
+
+  // Microphone processing sliders. Each names its setting in
+  // data-setting and applies to the running chain as it moves.
+  settingsPanel.querySelectorAll('[data-setting]').forEach((slider) => {
+    const key = slider.dataset.setting;
+    const output = slider.parentNode.querySelector('.settings-value');
+    const show = () => {
+      output.textContent = `${slider.value} dB`;
+    };
+    slider.value = String(processingSettings[key]);
+    show();
+    slider.addEventListener('input', () => {
+      processingSettings[key] = Number(slider.value);
+      show();
+      if (audioPipeline) audioPipeline.update({ [key]: processingSettings[key] });
+      localStorage.setItem(PROCESSING_KEY, JSON.stringify(processingSettings));
+    });
+  });
+
+  /*
+   * Audio profiles. The choice made in the settings panel is stored in
+   * localStorage. Changing the profile caps the bitrate of every audio
+   * sender at once and renegotiates each connection so the new Opus
+   * parameters reach our encoder; switching to or from the music
+   * profile also reopens the microphone with or without voice
+   * processing. In automatic mode the worst loss reported for our audio
+   * across the connections moves us to the low profile after
+   * AUTO_DOWN_POLLS lossy polls and back after AUTO_UP_POLLS clean ones.
+   * The profile in effect is shown to the room through `audio-profile`.
+   */
+  const profileSelect = document.getElementById('profile-select');
+  // Packet loss thresholds in percent
+  const AUTO_LOSS_HIGH = 5;
+  const AUTO_LOSS_LOW = 1;
+  const AUTO_DOWN_POLLS = 3;
+  const AUTO_UP_POLLS = 15;
+  let lossyPolls = 0;
+  let cleanPolls = 0;
+
+  function announceAudioProfile() {
+    const current = { profile: audioProfile, auto: profileChoice === 'auto' };
+    updateAudioProfile(myPeerId, current);
+    socket.emit('audio-profile', current);
+  }
+
+  async function setAudioProfile(name) {
+    const previous = AudioProfiles.PROFILES[audioProfile];
+    const profile = AudioProfiles.PROFILES[name];
+    audioProfile = name;
+    lossyPolls = cleanPolls = 0;
+    if (previous.voiceProcessing !== profile.voiceProcessing || previous.stereo !== profile.stereo) {
+      await switchMicrophone();
+    }
+    // A connection in the middle of a negotiation picks the profile up
+    // with the next one
+    Object.entries(peers).forEach(([peerId, entry]) => {
+      tuneConnection(entry.pc);
+      if (entry.pc.signalingState === 'stable' && !entry.makingOffer) negotiate(peerId, entry.pc);
+    });
+    announceAudioProfile();
+  }
+
+  // Called after every stats poll while the profile is automatic
+  function adaptAudioProfile() {
+    if (profileChoice !== 'auto') return;
+    const losses = Object.values(peers)
+      .map(({ stats }) => stats && stats.sendLoss)
+      .filter((loss) => typeof loss === 'number');
+    if (!losses.length) return;
+    const loss = Math.max(...losses);
+    lossyPolls = loss > AUTO_LOSS_HIGH ? lossyPolls + 1 : 0;
+    cleanPolls = loss < AUTO_LOSS_LOW ? cleanPolls + 1 : 0;
+    if (audioProfile !== 'low' && lossyPolls >= AUTO_DOWN_POLLS) {
+      setAudioProfile('low');
+    } else if (audioProfile === 'low' && cleanPolls >= AUTO_UP_POLLS) {
+      setAudioProfile(AudioProfiles.DEFAULT_PROFILE);
+    }
+  }
+
+  profileSelect.value = profileChoice;
+  profileSelect.addEventListener('change', async () => {
+    profileChoice = profileSelect.value;
+    localStorage.setItem('audioProfile', profileChoice);
+    await setAudioProfile(profileChoice === 'auto' ? AudioProfiles.DEFAULT_PROFILE : profileChoice);
+  });
+
+  /*
+   * Voice activity. The detector (see vad.js) reports when we and each
+   * remote participant start and stop speaking, and only then is the
+   * list updated. Our own state is sent to the room through `speaking`.
+   * With "pause in silence" enabled in the settings panel, our audio
+   * senders are paused while we are silent (their encodings made
+   * inactive; the microphone keeps running for the detector) and resume
+   * as soon as we speak, after about two frames of speech.
+   */
+  const silencePauseToggle = document.getElementById('silence-pause');
+  let pauseInSilence = localStorage.getItem('pauseInSilence') === 'true';
+
+  function updateSendPause() {
+    const paused = pauseInSilence && !vad.isSpeaking(VAD_LOCAL);
+    if (paused === sendingPaused) return;
+    sendingPaused = paused;
+    Object.values(peers).forEach(({ pc }) => applyAudioSending(pc));
+  }
+
+  vad.onchange = (key, speaking) => {
+    if (key === VAD_LOCAL) {
+      setSpeaking(myPeerId);
+      if (myPeerId) socket.emit('speaking', { speaking });
+      updateSendPause();
+      return;
+    }
+    if (speaking) heardSpeaking.add(key);
+    else heardSpeaking.delete(key);
+    setSpeaking(key);
+  };
+
+  silencePauseToggle.checked = pauseInSilence;
+  silencePauseToggle.addEventListener('change', () => {
+    pauseInSilence = silencePauseToggle.checked;
+    localStorage.setItem('pauseInSilence', String(pauseInSilence));
+    updateSendPause();
+  });
+
+  // UI interactions
+  muteBtn.addEventListener('click', () => {
+    isMuted = !isMuted;
     // Update the button label
     muteBtn.textContent = isMuted ? 'إلغاء الكتم' : 'كتم';
-    // Update our own list entry
-    updateMuteStatus(myPeerId, isMuted);
-    // Notify other peers of our mute state
-    socket.emit('mute', { muted: isMuted });
+    // Apply to the track, our own list entry and the other peers
+    applyMicState();
+  });
+
+  // Send a chat message. The server echoes it back to the whole room, so
+  // it is rendered when it arrives rather than optimistically.
+  chatForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const text = chatInput.value.trim();
+    if (!text) return;
+    socket.emit('chat-message', { text });
+    chatInput.value = '';
   });
 
   // Toggle noise suppression on or off. When the gate is disabled, audio
-  // passes through unprocessed. When enabled, the dynamic gate runs
-  // continuously to attenuate background noise. Update the button
-  // label to reflect the current state.
+  // passes it untouched (gain and compression still apply). When
+  // enabled, the gate silences everything that does not rise above the
+  // tracked noise floor. Update the button label to reflect the current
+  // state.
   noiseBtn.addEventListener('click', () => {
     noiseEnabled = !noiseEnabled;
-    if (noiseGateController) {
-      noiseGateController.enable(noiseEnabled);
+    if (audioPipeline) {
+      audioPipeline.update({ gate: noiseEnabled });
     }
     noiseBtn.textContent = noiseEnabled ? 'إيقاف العزل' : 'تفعيل العزل';
   });
 
+  // Moderators can lock the room against new joins
+  lockBtn.addEventListener('click', () => {
+    socket.emit('lock-room', { locked: !roomLocked });
+  });
+
+  /*
+   * Local recording. Mixes our microphone and every remote stream into a
+   * file in this browser (see localRecorder.js) and offers it for
+   * download when stopped. The room is told through `local-recording`
+   * so everyone sees who is recording.
+   */
+  let localRecordingStartedAt = null;
+  localRecordBtn.hidden = !localRecorder.supported;
+
+  function renderLocalRecording() {
+    const active = localRecorder.active;
+    localRecordBtn.textContent = active ? 'إيقاف التسجيل المحلي' : 'تسجيل محلي';
+    localRecordBtn.classList.toggle('active', active);
+    updateLocalRecording(myPeerId, active);
+  }
+
+  async function toggleLocalRecording() {
+    if (!localRecorder.active) {
+      const streams = { local: localStream };
+      Object.entries(remoteMedia).forEach(([peerId, entry]) => {
+        if (entry.remoteStream) streams[peerId] = entry.remoteStream;
+      });
+      localRecorder.start(streams);
+      localRecordingStartedAt = new Date();
+      socket.emit('local-recording', { recording: true });
+      renderLocalRecording();
+      return;
+    }
+    const result = await localRecorder.stop();
+    socket.emit('local-recording', { recording: false });
+    renderLocalRecording();
+    if (!result) return;
+    // Offer the file; the previous one is released
+    if (localRecordingLink.href) URL.revokeObjectURL(localRecordingLink.href);
+    const stamp = localRecordingStartedAt.toISOString().replace(/[:.]/g, '-');
+    localRecordingLink.href = URL.createObjectURL(result.blob);
+    localRecordingLink.download = `nexus-${roomId}-${stamp}.${result.extension}`;
+    localRecordingLink.hidden = false;
+  }
+
+  localRecordBtn.addEventListener('click', () => {
+    toggleLocalRecording().catch((err) => {
+      console.error('Local recording failed', err);
+      alert('تعذّر التسجيل المحلي');
+    });
+  });
+
+  // Leaving the page would throw an unsaved recording away
+  window.addEventListener('beforeunload', (event) => {
+    if (!localRecorder.active) return;
+    event.preventDefault();
+    event.returnValue = '';
+  });
+
+  /*
+   * Screen sharing. The captured screen is added as a video track to
+   * every peer connection (apart from the recorder's), which renegotiates
+   * through onnegotiationneeded like any other change, and removed again
+   * when sharing stops. `screen-share` tells the room who is sharing;
+   * the viewer panel shows each sharing peer once their video arrives,
+   * and our own screen as a preview.
+   */
+  screenBtn.hidden = !(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia);
+
+  // Bring the viewer panel in line with the current shares
+  function renderScreens() {
+    const shown = [];
+    if (screenStream) shown.push({ key: 'local', name: 'شاشتك', stream: screenStream });
+    sharingIds.forEach((peerId) => {
+      const entry = remoteMedia[peerId];
+      if (entry && entry.screenStream) {
+        shown.push({ key: peerId, name: peerNames[peerId] || '', stream: entry.screenStream });
+      }
+    });
+    screenPanel.querySelectorAll('.screen-tile').forEach((tile) => {
+      if (shown.some(({ key }) => key === tile.dataset.screen)) return;
+      tile.querySelector('video').srcObject = null;
+      tile.remove();
+    });
+    shown.forEach(({ key, name, stream }) => {
+      let tile = screenPanel.querySelector(`[data-screen="${key}"]`);
+      if (!tile) {
+        tile = document.createElement('figure');
+        tile.className = 'screen-tile';
+        tile.dataset.screen = key;
+        const video = document.createElement('video');
+        video.autoplay = true;
+        video.playsInline = true;
+        // Shared screens carry no sound
+        video.muted = true;
+        video.title = 'انقر للعرض بملء الشاشة';
+        video.addEventListener('click', () => {
+          if (video.requestFullscreen) video.requestFullscreen().catch(() => {});
+        });
+        const caption = document.createElement('figcaption');
+        tile.append(video, caption);
+        screenPanel.appendChild(tile);
+      }
+      const video = tile.querySelector('video');
+      if (video.srcObject !== stream) video.srcObject = stream;
+      tile.querySelector('figcaption').textContent = name;
+    });
+    screenPanel.hidden = !shown.length;
+  }
+
+  function renderScreenShare() {
+    screenBtn.textContent = screenStream ? 'إيقاف المشاركة' : 'مشاركة الشاشة';
+    screenBtn.classList.toggle('active', Boolean(screenStream));
+    renderScreens();
+  }
+
+  async function startScreenShare() {
+    const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+    const [track] = stream.getVideoTracks();
+    // The browser's own "stop sharing" control ends the track
+    track.addEventListener('ended', stopScreenShare);
+    screenStream = stream;
+    socket.emit('screen-share', { sharing: true });
+    Object.entries(peers).forEach(([peerId, entry]) => {
+      if (!recorderIds.has(peerId)) entry.pc.addTrack(track, stream);
+    });
+    renderScreenShare();
+  }
+
+  function stopScreenShare() {
+    if (!screenStream) return;
+    screenStream.getTracks().forEach((t) => t.stop());
+    screenStream = null;
+    Object.values(peers).forEach(({ pc }) => {
+      pc.getSenders().forEach((sender) => {
+        if (sender.track && sender.track.kind === 'video') pc.removeTrack(sender);
+      });
+    });
+    socket.emit('screen-share', { sharing: false });
+    renderScreenShare();
+  }
+
+  screenBtn.addEventListener('click', () => {
+    if (screenStream) {
+      stopScreenShare();
+      return;
+    }
+    startScreenShare().catch((err) => {
+      // Cancelling the browser's picker is not an error worth reporting
+      if (err.name === 'NotAllowedError') return;
+      console.error('Screen sharing failed', err);
+      alert('تعذّرت مشاركة الشاشة');
+    });
+  });
+
+  // Moderators start and stop the server-side recording
+  recordBtn.addEventListener('click', () => {
+    if (recording) {
+      socket.emit('stop-recording');
+    } else if (confirm('سيُسجَّل صوت جميع المشاركين على الخادم. هل تريد بدء التسجيل؟')) {
+      socket.emit('start-recording');
+    }
+  });
+
   // Handle logout: clear session, close connections and redirect
   const logoutBtn = document.getElementById('logout-btn');
   logoutBtn.addEventListener('click', () => {
     try {
       // Close all peer connections
-      Object.values(peers).forEach(({ pc, audio }) => {
-        if (pc) pc.close();
-        if (audio && audio.parentNode) {
-          audio.srcObject = null;
-          audio.parentNode.removeChild(audio);
-        }
-      });
+      closeAllPeers();
       // Stop local stream
       if (localStream) {
         localStream.getTracks().forEach((t) => t.stop());
@@ -772,6 +2052,7 @@
       console.error('Error during logout', err);
     }
     sessionStorage.removeItem('username');
-    window.location.href = '/';
+    sessionStorage.removeItem('token');
+    window.location.href = lobbyUrl;
   });
 })();
\ No newline at end of file
@@ -0,0 +1,112 @@
+/*
+ * Connection quality helpers for Nexus Voice.
+ *
+ * Turns the RTCStatsReport returned by RTCPeerConnection.getStats()
+ * into a small summary (round trip time, jitter, packet loss, bitrate,
+ * the type of the selected candidate pair and the loss the other side
+ * reports for the audio we send) and grades it as good, fair or poor.
+ * Loss and bitrate are computed from the difference with the previous
+ * summary, so callers should pass the last result back in on each
+ * poll. Exposed as window.NexusStats for room.js.
+ */
+
+(function () {
+  // Thresholds for grading a summary. Loss in percent, times in ms.
+  const THRESHOLDS = {
+    poor: { loss: 5, rtt: 400, jitter: 50 },
+    fair: { loss: 1, rtt: 200, jitter: 30 }
+  };
+
+  // Find the candidate pair currently in use. Chrome exposes it through
+  // the transport stats, Firefox flags the pair itself as selected.
+  function findSelectedPair(stats) {
+    let pair = null;
+    stats.forEach((s) => {
+      if (s.type === 'transport' && s.selectedCandidatePairId) {
+        pair = stats.get(s.selectedCandidatePairId) || pair;
+      }
+    });
+    if (pair) return pair;
+    stats.forEach((s) => {
+      if (s.type === 'candidate-pair' && (s.selected || (s.nominated && s.state === 'succeeded'))) {
+        pair = pair || s;
+      }
+    });
+    return pair;
+  }
+
+  // Summarise a stats report. `previous` is the summary from the last
+  // poll (or null) and is used for the rate-based figures.
+  function summarise(stats, previous) {
+    const summary = {
+      time: Date.now(),
+      rtt: null,
+      jitter: null,
+      packetLoss: null,
+      bitrate: null,
+      route: null,
+      packetsReceived: 0,
+      packetsLost: 0,
+      bytesReceived: 0,
+      // Loss of the audio we send, as reported back by the other side
+      sendLoss: null
+    };
+    stats.forEach((s) => {
+      if (s.type === 'inbound-rtp' && (s.kind || s.mediaType) === 'audio') {
+        summary.packetsReceived += s.packetsReceived || 0;
+        summary.packetsLost += Math.max(0, s.packetsLost || 0);
+        summary.bytesReceived += s.bytesReceived || 0;
+        if (typeof s.jitter === 'number') {
+          summary.jitter = Math.max(summary.jitter || 0, s.jitter * 1000);
+        }
+      }
+      if (s.type === 'remote-inbound-rtp' && (s.kind || s.mediaType) === 'audio' &&
+          typeof s.fractionLost === 'number') {
+        summary.sendLoss = Math.max(summary.sendLoss || 0, s.fractionLost * 100);
+      }
+    });
+    const pair = findSelectedPair(stats);
+    if (pair) {
+      if (typeof pair.currentRoundTripTime === 'number') {
+        summary.rtt = pair.currentRoundTripTime * 1000;
+      }
+      const local = stats.get(pair.localCandidateId);
+      const remote = stats.get(pair.remoteCandidateId);
+      const types = [local, remote].filter(Boolean).map((c) => c.candidateType);
+      // A relay on either side means the media goes through TURN
+      if (types.includes('relay')) summary.route = 'relay';
+      else if (types.includes('srflx') || types.includes('prflx')) summary.route = 'srflx';
+      else if (types.length) summary.route = 'host';
+    }
+    if (previous) {
+      const received = summary.packetsReceived - previous.packetsReceived;
+      const lost = summary.packetsLost - previous.packetsLost;
+      if (received + lost > 0) {
+        summary.packetLoss = (Math.max(0, lost) / (received + Math.max(0, lost))) * 100;
+      }
+      const elapsed = summary.time - previous.time;
+      if (elapsed > 0) {
+        // bits per millisecond equals kilobits per second
+        summary.bitrate = Math.max(0, summary.bytesReceived - previous.bytesReceived) * 8 / elapsed;
+      }
+    }
+    return summary;
+  }
+
+  // Grade a summary: 'good', 'fair', 'poor', or 'unknown' before any
+  // figures are available
+  function classify(summary) {
+    if (!summary || (summary.rtt === null && summary.jitter === null && summary.packetLoss === null)) {
+      return 'unknown';
+    }
+    const exceeds = ({ loss, rtt, jitter }) =>
+      (summary.packetLoss !== null && summary.packetLoss > loss) ||
+      (summary.rtt !== null && summary.rtt > rtt) ||
+      (summary.jitter !== null && summary.jitter > jitter);
+    if (exceeds(THRESHOLDS.poor)) return 'poor';
+    if (exceeds(THRESHOLDS.fair)) return 'fair';
+    return 'good';
+  }
+
+  window.NexusStats = { summarise, classify };
+})();
@@ -0,0 +1,157 @@
+/*
+ * Voice activity detection for Nexus Voice.
+ *
+ * One detector watches any number of streams (our microphone and every
+ * remote participant) on a single AudioContext. A level meter worklet
+ * (levelMeterProcessor.js) reports each stream's level every FRAME_MS;
+ * where AudioWorklet is unavailable an AnalyserNode is polled on a
+ * timer instead. Levels are smoothed and compared with a threshold
+ * above a tracked noise floor. A stream counts as speaking after
+ * ONSET_FRAMES loud frames and stops HANGOVER_MS after the last one,
+ * so the short pauses between words do not flicker. Only changes are
+ * reported, through the `onchange(key, speaking)` callback. Exposed as
+ * window.NexusVad for room.js.
+ */
+
+(function () {
+  const WORKLET_URL = 'js/levelMeterProcessor.js';
+  const FRAME_MS = 20;
+  // Weight of each new frame in the smoothed level
+  const SMOOTHING = 0.4;
+  // Speech must be this far above the noise floor, and never quieter
+  // than MIN_SPEECH_DB (gated streams are silent between words)
+  const SPEECH_ABOVE_FLOOR_DB = 12;
+  const MIN_SPEECH_DB = -55;
+  const ONSET_FRAMES = 2;
+  const HANGOVER_MS = 400;
+  // The noise floor falls with this time constant and rises at most
+  // this fast, within these bounds
+  const FLOOR_FALL_SECONDS = 0.3;
+  const FLOOR_RISE_DB_PER_SECOND = 1;
+  const FLOOR_MIN_DB = -90;
+  const FLOOR_MAX_DB = -35;
+
+  function create() {
+    let ctx = null;
+    // Resolves to whether the level meter worklet could be loaded
+    let workletReady = null;
+    // key -> { stream, source, meter, timer, level, floor, loudFrames,
+    // lastLoud, speaking }
+    const watched = new Map();
+
+    const detector = {
+      onchange: null,
+
+      // The shared context, created on first use, so the caller can
+      // resume it after a user gesture
+      get ctx() {
+        return ctx;
+      },
+
+      isSpeaking(key) {
+        const entry = watched.get(key);
+        return Boolean(entry && entry.speaking);
+      },
+
+      // Watch a stream under `key`, replacing what was watched there
+      async watch(key, stream) {
+        const current = watched.get(key);
+        if (current && current.stream === stream) return;
+        detector.unwatch(key);
+        if (!stream || !stream.getAudioTracks().length) return;
+        const entry = {
+          stream,
+          source: null,
+          meter: null,
+          timer: null,
+          level: null,
+          floor: null,
+          loudFrames: 0,
+          lastLoud: 0,
+          speaking: false
+        };
+        watched.set(key, entry);
+        try {
+          if (!ctx) {
+            ctx = new (window.AudioContext || window.webkitAudioContext)();
+            workletReady = ctx.audioWorklet
+              ? ctx.audioWorklet.addModule(WORKLET_URL).then(() => true, (err) => {
+                console.warn('Level meter unavailable, polling an analyser instead', err);
+                return false;
+              })
+              : Promise.resolve(false);
+          }
+          ctx.resume().catch(() => {});
+          const useWorklet = await workletReady;
+          // Unwatched or replaced meanwhile
+          if (watched.get(key) !== entry) return;
+          entry.source = ctx.createMediaStreamSource(stream);
+          if (useWorklet) {
+            entry.meter = new AudioWorkletNode(ctx, 'nexus-level-meter', {
+              numberOfOutputs: 0,
+              processorOptions: { frameMs: FRAME_MS }
+            });
+            entry.meter.port.onmessage = ({ data }) => frame(key, entry, data);
+          } else {
+            entry.meter = ctx.createAnalyser();
+            entry.meter.fftSize = 1024;
+            const samples = new Float32Array(entry.meter.fftSize);
+            entry.timer = setInterval(() => {
+              entry.meter.getFloatTimeDomainData(samples);
+              let sum = 0;
+              for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+              const power = sum / samples.length;
+              frame(key, entry, power > 0 ? 10 * Math.log10(power) : -100);
+            }, FRAME_MS);
+          }
+          entry.source.connect(entry.meter);
+        } catch (err) {
+          console.warn('Voice activity detection failed for', key, err);
+        }
+      },
+
+      // Stop watching `key`; reports it as silent if it was speaking
+      unwatch(key) {
+        const entry = watched.get(key);
+        if (!entry) return;
+        watched.delete(key);
+        clearInterval(entry.timer);
+        if (entry.source) entry.source.disconnect();
+        if (entry.meter && entry.meter.port) entry.meter.port.onmessage = null;
+        if (entry.speaking && detector.onchange) detector.onchange(key, false);
+      }
+    };
+
+    // Take one level reading for a watched stream
+    function frame(key, entry, db) {
+      const seconds = FRAME_MS / 1000;
+      entry.level = entry.level === null ? db : entry.level + (db - entry.level) * SMOOTHING;
+      if (entry.floor === null) {
+        entry.floor = entry.level;
+      } else if (entry.level < entry.floor) {
+        entry.floor += (entry.level - entry.floor) * (1 - Math.exp(-seconds / FLOOR_FALL_SECONDS));
+      } else {
+        entry.floor += FLOOR_RISE_DB_PER_SECOND * seconds;
+      }
+      entry.floor = Math.min(FLOOR_MAX_DB, Math.max(FLOOR_MIN_DB, entry.floor));
+
+      const now = Date.now();
+      if (entry.level > Math.max(MIN_SPEECH_DB, entry.floor + SPEECH_ABOVE_FLOOR_DB)) {
+        entry.loudFrames += 1;
+        entry.lastLoud = now;
+      } else {
+        entry.loudFrames = 0;
+      }
+      const speaking = entry.speaking
+        ? now - entry.lastLoud < HANGOVER_MS
+        : entry.loudFrames >= ONSET_FRAMES;
+      if (speaking === entry.speaking) return;
+      entry.speaking = speaking;
+      if (detector.onchange) detector.onchange(key, speaking);
+    }
+
+    return detector;
+  }
+
+  window.NexusVad = { create };
+})();
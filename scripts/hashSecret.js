@@ -0,0 +1,34 @@
+/*
+ * Password/PIN hashing helper.
+ *
+ * Prints the scrypt hash of a secret in the format expected by the
+ * `secret` field of config/users.json. The secret is read from the
+ * first command line argument, or from standard input when omitted so
+ * it does not end up in the shell history.
+ *
+ *   npm run hash-secret -- 1234
+ *   echo -n 1234 | npm run hash-secret
+ */
+
+const { hashSecret } = require('../server/auth');
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (chunk) => { data += chunk; });
+    process.stdin.on('end', () => resolve(data.replace(/\r?\n$/, '')));
+    process.stdin.on('error', reject);
+  });
+}
+
+async function main() {
+  const secret = process.argv[2] !== undefined ? process.argv[2] : await readStdin();
+  if (!secret) {
+    console.error('Usage: npm run hash-secret -- <secret>');
+    process.exit(1);
+  }
+  console.log(await hashSecret(secret));
+}
+
+main();
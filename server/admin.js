@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const { ADMIN_TOKEN } = require('./config');
+
+/*
+ * Admin area for operators.
+ *
+ * `/admin` serves a small dashboard page; the data behind it comes from
+ * a JSON API under `/admin/api` that can equally be driven from scripts:
+ *
+ *   GET  /admin/api/sessions                   peers, watchers and rooms
+ *   POST /admin/api/sockets/:socketId/disconnect
+ *   POST /admin/api/notice { text, room? }     broadcast a notice
+ *
+ * Every API call must carry `Authorization: Bearer <ADMIN_TOKEN>`. When
+ * ADMIN_TOKEN is not configured the whole admin area answers 404.
+ */
+
+// Longest notice accepted, in characters
+const NOTICE_MAX_LENGTH = 500;
+
+// Compare the presented token with ADMIN_TOKEN in constant time. Both
+// are hashed first so tokens of different lengths can be compared.
+function isAdminToken(token) {
+  if (!ADMIN_TOKEN || typeof token !== 'string') return false;
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(ADMIN_TOKEN));
+}
+
+function requireAdmin(req, res, next) {
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (!isAdminToken(token)) {
+    res.status(401).json({ error: 'رمز الإدارة غير صحيح' });
+    return;
+  }
+  next();
+}
+
+// Build the admin router around the interface returned by
+// registerSockets()
+function createAdminRouter({ adminSnapshot, adminDisconnect, broadcastNotice }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!ADMIN_TOKEN) {
+      res.status(404).json({ error: 'لوحة الإدارة غير مفعّلة' });
+      return;
+    }
+    next();
+  });
+
+  // The dashboard page itself holds no data; it asks for the token and
+  // calls the API below
+  router.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'client', 'public', 'admin.html'));
+  });
+
+  router.use('/api', requireAdmin);
+
+  router.get('/api/sessions', (req, res, next) => {
+    adminSnapshot()
+      .then((snapshot) => res.json(snapshot))
+      .catch(next);
+  });
+
+  router.post('/api/sockets/:socketId/disconnect', (req, res, next) => {
+    adminDisconnect(req.params.socketId)
+      .then((found) => {
+        if (!found) {
+          res.status(404).json({ error: 'الاتصال غير موجود' });
+          return;
+        }
+        res.json({ ok: true });
+      })
+      .catch(next);
+  });
+
+  router.post('/api/notice', (req, res) => {
+    const { text, room } = req.body || {};
+    const body = typeof text === 'string' ? text.trim() : '';
+    if (!body || body.length > NOTICE_MAX_LENGTH || (room !== undefined && typeof room !== 'string')) {
+      res.status(400).json({ error: 'نص التنبيه غير صالح' });
+      return;
+    }
+    broadcastNotice(body, room || null);
+    res.json({ ok: true });
+  });
+
+  return router;
+}
+
+module.exports = createAdminRouter;
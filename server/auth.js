@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+/*
+ * Authentication helpers for Nexus Voice.
+ *
+ * Every user in the directory can be given a password or PIN. Only a
+ * salted scrypt hash of it is stored in the users file, in the form
+ * `scrypt:<salt>:<hash>` (both base64 encoded). After a successful
+ * login the server hands out a session token signed with HMAC-SHA256.
+ * The token is presented in the Socket.IO handshake and carries the
+ * user name and an expiry time, so the signalling server can check it
+ * without keeping any session state of its own.
+ *
+ * scrypt is deliberately slow, so it runs on the libuv thread pool
+ * rather than blocking the event loop while a login is checked.
+ */
+
+const SCRYPT_KEYLEN = 32;
+
+const scrypt = promisify(crypto.scrypt);
+
+// Hash a secret for storage in the users file
+async function hashSecret(secret) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(secret), salt, SCRYPT_KEYLEN);
+  return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+}
+
+// Check whether a stored hash has the expected format
+function isSecretHash(stored) {
+  return typeof stored === 'string' && /^scrypt:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+$/.test(stored);
+}
+
+// Compare a plain secret against a stored hash in constant time.
+// Resolves to a boolean.
+async function verifySecret(secret, stored) {
+  if (typeof secret !== 'string' || !isSecretHash(stored)) return false;
+  const [, salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(secret, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function sign(payload, key) {
+  return crypto.createHmac('sha256', key).update(payload).digest('base64url');
+}
+
+// Issue a session token for a user, valid for ttlSeconds. `claims` are
+// extra signed fields, e.g. `recorder` for the server's own recorder peer.
+function createSessionToken(name, key, ttlSeconds, claims = {}) {
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = Buffer.from(JSON.stringify({ ...claims, name, exp })).toString('base64url');
+  return { token: `${payload}.${sign(payload, key)}`, expiresAt: exp * 1000 };
+}
+
+// Verify a session token. Returns { name, exp, ...claims } when the
+// signature is valid and the token has not expired, otherwise null.
+function verifySessionToken(token, key) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(payload, key));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  let session;
+  try {
+    session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (_) {
+    return null;
+  }
+  if (!session || typeof session.name !== 'string' || typeof session.exp !== 'number') {
+    return null;
+  }
+  if (session.exp * 1000 <= Date.now()) return null;
+  return session;
+}
+
+module.exports = {
+  hashSecret,
+  isSecretHash,
+  verifySecret,
+  createSessionToken,
+  verifySessionToken
+};
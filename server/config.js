@@ -1,4 +1,9 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const dotenv = require('dotenv');
+const { isSecretHash } = require('./auth');
+const { logger, configureLogging } = require('./logger');
 
 // Load variables from a .env file into process.env, if present
 dotenv.config();
@@ -9,7 +14,10 @@ dotenv.config();
  * The WebRTC stack requires a list of ICE servers (STUN and TURN) and a
  * transport policy. This file reads those values from environment
  * variables and provides sensible defaults where possible. See
- * `.env.example` for all supported keys.
+ * `.env.example` for all supported keys. It also loads the user
+ * directory (the list of names allowed to join, with their hashed
+ * secrets) from a JSON file so the roster can be changed without
+ * touching the front end.
  */
 
 // Pull variables out of the environment with defaults
@@ -19,15 +27,52 @@ const {
   TURN_URL,
   TURN_USER,
   TURN_PASS,
-  RELAY_ONLY = 'false'
+  TURN_SECRET,
+  TURN_TTL = 60 * 60,
+  RELAY_ONLY = 'false',
+  USERS_FILE = path.join(__dirname, '..', 'config', 'users.json'),
+  SESSION_SECRET,
+  SESSION_TTL = 12 * 60 * 60,
+  CHAT_HISTORY = 50,
+  STATS_REPORTING = 'false',
+  RESUME_GRACE = 30,
+  MAX_PAYLOAD = 64 * 1024,
+  ADMIN_TOKEN,
+  LOG_LEVEL = 'info',
+  LOG_FORMAT = 'text',
+  REDIS_URL,
+  RECORDING = 'false',
+  RECORDINGS_DIR = path.join(__dirname, '..', 'recordings'),
+  FORWARD_ROOMS = ''
 } = process.env;
 
-// Build a list of ICE servers to hand down to the browser
+// Set up logging first so warnings below already use the chosen format
+configureLogging({ level: LOG_LEVEL, format: LOG_FORMAT });
+
+// Parse a numeric setting. Like a broken roster, a value that is not a
+// positive number (or non-negative with `allowZero`, whole with
+// `integer`) is fatal: Number() would otherwise turn a typo into NaN and
+// fail much later, far from its cause.
+function readNumber(name, value, { allowZero = false, integer = false } = {}) {
+  const number = Number(value);
+  const valid = String(value).trim() !== '' && Number.isFinite(number) &&
+    (allowZero ? number >= 0 : number > 0) && (!integer || Number.isInteger(number));
+  if (!valid) {
+    const kind = `${allowZero ? 'non-negative' : 'positive'} ${integer ? 'integer' : 'number'}`;
+    throw new Error(`${name} must be a ${kind}, got "${value}"`);
+  }
+  return number;
+}
+
+// Build the static list of ICE servers to hand down to the browser. When
+// TURN_SECRET is set the TURN entry is not static: short-lived
+// credentials are minted per connection instead (see turn.js), so the
+// static TURN_USER/TURN_PASS pair is ignored and never sent to clients.
 const ICE_SERVERS = [];
 if (STUN_URL) {
   ICE_SERVERS.push({ urls: STUN_URL });
 }
-if (TURN_URL && TURN_USER && TURN_PASS) {
+if (TURN_URL && !TURN_SECRET && TURN_USER && TURN_PASS) {
   ICE_SERVERS.push({
     urls: TURN_URL,
     username: TURN_USER,
@@ -38,13 +83,89 @@ if (TURN_URL && TURN_USER && TURN_PASS) {
 // Determine the iceTransportPolicy: 'relay' when RELAY_ONLY is truthy
 const ICE_POLICY = String(RELAY_ONLY).toLowerCase() === 'true' ? 'relay' : 'all';
 
+/*
+ * Load the user directory. The file holds an object with a `users`
+ * array, each entry describing one teammate by name and the scrypt
+ * hash of their password or PIN (see `npm run hash-secret`), plus an
+ * optional `moderator` flag granting moderation rights in every room.
+ * Users without a secret are kept in the list but cannot log in. Invalid or
+ * duplicate entries are fatal: starting with a broken roster would
+ * lock everybody out in confusing ways.
+ */
+function loadUsers(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Unable to read user directory ${file}: ${err.message}`);
+  }
+  if (!parsed || !Array.isArray(parsed.users)) {
+    throw new Error(`User directory ${file} must contain a "users" array`);
+  }
+  const seen = new Set();
+  return parsed.users.map((entry, index) => {
+    const name = entry && typeof entry.name === 'string' ? entry.name.trim() : '';
+    if (!name) {
+      throw new Error(`User directory ${file}: entry ${index} has no name`);
+    }
+    if (seen.has(name)) {
+      throw new Error(`User directory ${file}: duplicate name "${name}"`);
+    }
+    seen.add(name);
+    if (entry.secret !== undefined && !isSecretHash(entry.secret)) {
+      throw new Error(`User directory ${file}: secret for "${name}" is not a valid hash`);
+    }
+    if (entry.moderator !== undefined && typeof entry.moderator !== 'boolean') {
+      throw new Error(`User directory ${file}: moderator flag for "${name}" must be true or false`);
+    }
+    if (entry.secret === undefined) {
+      logger.warn('user has no secret and cannot log in', { file, name });
+    }
+    return { name, secret: entry.secret || null, moderator: entry.moderator === true };
+  });
+}
+
+const USERS = loadUsers(path.resolve(USERS_FILE));
+
+// Key used to sign session tokens. Without a configured secret a random
+// key is generated, which invalidates all sessions on every restart.
+if (!SESSION_SECRET) {
+  logger.warn('SESSION_SECRET is not set; using a random key for this process');
+}
+const SESSION_KEY = SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Processes sharing state through Redis must also share the signing key,
+// or a token issued by one is rejected by the others
+if (REDIS_URL && !SESSION_SECRET) {
+  logger.warn('REDIS_URL is set without SESSION_SECRET; sessions will not work across processes');
+}
+
 module.exports = {
   PORT: Number(PORT),
   STUN_URL,
   TURN_URL,
   TURN_USER,
   TURN_PASS,
+  TURN_SECRET,
+  TURN_TTL: readNumber('TURN_TTL', TURN_TTL),
   RELAY_ONLY,
   ICE_SERVERS,
-  ICE_POLICY
+  ICE_POLICY,
+  USERS_FILE,
+  USERS,
+  SESSION_KEY,
+  SESSION_TTL: readNumber('SESSION_TTL', SESSION_TTL),
+  CHAT_HISTORY: readNumber('CHAT_HISTORY', CHAT_HISTORY, { integer: true }),
+  STATS_REPORTING: String(STATS_REPORTING).toLowerCase() === 'true',
+  // 0 disables resumption
+  RESUME_GRACE: readNumber('RESUME_GRACE', RESUME_GRACE, { allowZero: true }),
+  MAX_PAYLOAD: readNumber('MAX_PAYLOAD', MAX_PAYLOAD, { integer: true }),
+  ADMIN_TOKEN: ADMIN_TOKEN || null,
+  LOG_LEVEL,
+  LOG_FORMAT,
+  REDIS_URL: REDIS_URL || null,
+  RECORDING_ENABLED: String(RECORDING).toLowerCase() === 'true',
+  RECORDINGS_DIR: path.resolve(RECORDINGS_DIR),
+  // Rooms served by the forwarder instead of a full mesh, '*' for all
+  FORWARD_ROOMS: FORWARD_ROOMS.split(',').map((room) => room.trim()).filter(Boolean)
 };
\ No newline at end of file
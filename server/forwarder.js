@@ -0,0 +1,270 @@
+const { io: connect } = require('socket.io-client');
+const { RTCPeerConnection } = require('werift');
+const { PORT, SESSION_KEY, SESSION_TTL } = require('./config');
+const { createSessionToken } = require('./auth');
+const { logger } = require('./logger');
+
+/*
+ * Selective forwarding peer for larger rooms.
+ *
+ * In a room listed in FORWARD_ROOMS the browsers do not connect to each
+ * other. sockets.js starts a forwarder when the first person joins; like
+ * the recorder it connects back to this server as an ordinary Socket.IO
+ * client, with a session token flagged `forwarder`, and joins the room
+ * through the same signalling protocol. Every browser keeps a single
+ * connection to it and sends its microphone (and shared screen) once.
+ * Each track received is published: its RTP packets are relayed to every
+ * other browser on a transceiver of their own, whose stream id is the
+ * sender's peerId so the browser can tell whose audio it is. Packets are
+ * not decoded; only the SSRC, payload type and sequence numbering are
+ * rewritten on the way out.
+ *
+ * Browsers make the first offer on a new connection and treat the
+ * forwarder as the impolite side of perfect negotiation: an offer that
+ * collides with one of ours is ignored and the browser rolls back.
+ * Forwarded tracks are only added once the browser's first offer has
+ * been answered, so its own tracks always get m-lines of their own.
+ */
+
+// Name the forwarder joins under; it is not in the user directory
+const FORWARDER_NAME = 'موزّع الغرفة';
+
+/*
+ * Start forwarding `room`. Resolves once the forwarder has joined, to
+ * { stop }. Rejects when it cannot connect or is refused, e.g. because
+ * another process already runs a forwarder for the room.
+ */
+function startForwarder(room) {
+  const log = logger.child({ room, forwarder: true });
+  const { token } = createSessionToken(FORWARDER_NAME, SESSION_KEY, SESSION_TTL, { forwarder: true });
+  const socket = connect(`http://127.0.0.1:${PORT}`, {
+    auth: { token },
+    reconnection: false,
+    transports: ['websocket']
+  });
+
+  let iceServers = [];
+  let icePolicy = 'all';
+  // peerId -> { pc, pendingCandidates, makingOffer, ready,
+  // negotiationNeeded, outgoing } for every connected browser. outgoing
+  // maps each transceiver we added to the subscription it carries, or
+  // null once that publication has ended.
+  const clients = new Map();
+  // Tracks received from the browsers: { client, track, transceiver,
+  // subscribers }
+  const publications = new Set();
+  let stopped = false;
+
+  // Ask a publisher for a key frame, e.g. for a new viewer of its screen
+  function requestKeyframe(publication) {
+    publication.transceiver.receiver.sendRtcpPLI(publication.track.ssrc).catch(() => {});
+  }
+
+  // Send a browser a fresh offer once its connection is stable. Changes
+  // made meanwhile are picked up by the next round.
+  function renegotiate(client) {
+    client.negotiationNeeded = true;
+    if (!client.ready || client.makingOffer || client.pc.signalingState !== 'stable') return;
+    client.negotiationNeeded = false;
+    client.makingOffer = true;
+    client.pc.createOffer()
+      .then((offer) => client.pc.setLocalDescription(offer))
+      .then(() => {
+        socket.emit('signal', {
+          targetPeerId: client.peerId,
+          data: { type: 'offer', sdp: client.pc.localDescription.sdp }
+        });
+      })
+      .catch((err) => log.warn('forwarder offer failed', { peerId: client.peerId, err }))
+      .finally(() => {
+        client.makingOffer = false;
+      });
+  }
+
+  // Relay a publication to one browser. The caller renegotiates.
+  function subscribe(client, publication) {
+    const transceiver = client.pc.addTransceiver(publication.track.kind, { direction: 'sendrecv' });
+    transceiver.sender.streamId = publication.client.peerId;
+    const subscription = publication.track.onReceiveRtp.subscribe((rtp) => {
+      // Every subscriber rewrites the header, so each gets its own copy
+      transceiver.sender.sendRtp(rtp.serialize()).catch(() => {});
+    });
+    const pli = publication.track.kind === 'video'
+      ? transceiver.sender.onPictureLossIndication.subscribe(() => requestKeyframe(publication))
+      : null;
+    client.outgoing.set(transceiver, { publication, subscription, pli });
+    publication.subscribers.add(client);
+  }
+
+  // Stop relaying on one transceiver; it stays in the session, idle
+  function unsubscribe(client, transceiver) {
+    const entry = client.outgoing.get(transceiver);
+    if (!entry) return;
+    entry.subscription.unSubscribe();
+    if (entry.pli) entry.pli.unSubscribe();
+    entry.publication.subscribers.delete(client);
+    client.outgoing.set(transceiver, null);
+    transceiver.setDirection('recvonly');
+  }
+
+  function publish(client, track, transceiver) {
+    for (const publication of publications) {
+      if (publication.transceiver === transceiver && publication.track === track) return;
+    }
+    const publication = { client, track, transceiver, subscribers: new Set() };
+    publications.add(publication);
+    log.info('forwarding track', { peerId: client.peerId, kind: track.kind });
+    for (const other of clients.values()) {
+      if (other === client || !other.ready) continue;
+      subscribe(other, publication);
+      renegotiate(other);
+    }
+  }
+
+  function unpublish(publication) {
+    if (!publications.delete(publication)) return;
+    log.info('stopped forwarding track', { peerId: publication.client.peerId, kind: publication.track.kind });
+    for (const subscriber of Array.from(publication.subscribers)) {
+      for (const [transceiver, entry] of subscriber.outgoing) {
+        if (entry && entry.publication === publication) unsubscribe(subscriber, transceiver);
+      }
+      if (clients.get(subscriber.peerId) === subscriber) renegotiate(subscriber);
+    }
+  }
+
+  // A browser stopped sending on a transceiver (e.g. it stopped sharing
+  // its screen): end what was published from it
+  function unpublishStopped(client) {
+    for (const publication of publications) {
+      if (publication.client !== client) continue;
+      const direction = publication.transceiver.currentDirection;
+      if (direction !== 'recvonly' && direction !== 'sendrecv') unpublish(publication);
+    }
+  }
+
+  function closeClient(peerId) {
+    const client = clients.get(peerId);
+    if (!client) return;
+    clients.delete(peerId);
+    for (const publication of Array.from(publications)) {
+      if (publication.client === client) unpublish(publication);
+    }
+    for (const transceiver of client.outgoing.keys()) unsubscribe(client, transceiver);
+    client.pc.close().catch(() => {});
+  }
+
+  function createClient(peerId) {
+    const pc = new RTCPeerConnection({
+      iceServers,
+      iceTransportPolicy: icePolicy,
+      bundlePolicy: 'max-bundle'
+    });
+    const client = {
+      peerId,
+      pc,
+      pendingCandidates: [],
+      makingOffer: false,
+      ready: false,
+      negotiationNeeded: false,
+      outgoing: new Map()
+    };
+    pc.onicecandidate = ({ candidate }) => {
+      if (!candidate) return;
+      socket.emit('signal', { targetPeerId: peerId, data: { candidate: candidate.toJSON() } });
+    };
+    pc.ontrack = ({ track, transceiver }) => publish(client, track, transceiver);
+    clients.set(peerId, client);
+    return client;
+  }
+
+  // Apply descriptions and candidates from the browsers. A `reset`
+  // means the browser is rebuilding the connection; its fresh offer
+  // follows.
+  async function handleSignal({ from, data }) {
+    if (stopped) return;
+    if (data.type === 'reset') {
+      closeClient(from);
+      return;
+    }
+    if (data.type === 'offer' || data.type === 'answer') {
+      let client = clients.get(from);
+      if (!client) {
+        if (data.type === 'answer') return;
+        client = createClient(from);
+      }
+      const { pc } = client;
+      // Impolite: our own offer wins a collision
+      if (data.type === 'offer' && (client.makingOffer || pc.signalingState !== 'stable')) return;
+      await pc.setRemoteDescription({ type: data.type, sdp: data.sdp });
+      for (const candidate of client.pendingCandidates.splice(0)) {
+        await pc.addIceCandidate(candidate).catch(() => {});
+      }
+      if (data.type === 'offer') {
+        // Receive whatever the browser sends; send where we relay
+        pc.getTransceivers().forEach((transceiver) => {
+          transceiver.setDirection(client.outgoing.get(transceiver) ? 'sendrecv' : 'recvonly');
+        });
+        await pc.setLocalDescription(await pc.createAnswer());
+        socket.emit('signal', {
+          targetPeerId: from,
+          data: { type: 'answer', sdp: pc.localDescription.sdp }
+        });
+        unpublishStopped(client);
+        if (!client.ready) {
+          client.ready = true;
+          for (const publication of publications) {
+            if (publication.client !== client) subscribe(client, publication);
+          }
+          if (client.outgoing.size) client.negotiationNeeded = true;
+        }
+      }
+      if (clients.get(from) === client && client.negotiationNeeded) renegotiate(client);
+    } else if (data.candidate) {
+      const client = clients.get(from) || createClient(from);
+      if (!client.pc.remoteDescription) {
+        client.pendingCandidates.push(data.candidate);
+        return;
+      }
+      await client.pc.addIceCandidate(data.candidate).catch(() => {});
+    }
+  }
+
+  function stop() {
+    if (stopped) return;
+    stopped = true;
+    log.info('forwarder stopped');
+    socket.disconnect();
+    Array.from(clients.keys()).forEach(closeClient);
+  }
+
+  socket.on('welcome', (welcome) => {
+    iceServers = welcome.iceServers || [];
+    icePolicy = welcome.icePolicy || 'all';
+    socket.emit('join', { name: FORWARDER_NAME, room });
+  });
+  socket.on('peer-left', ({ peerId }) => closeClient(peerId));
+  socket.on('signal', (message) => {
+    handleSignal(message).catch((err) => log.warn('forwarder signalling failed', { from: message.from, err }));
+  });
+  socket.on('forwarder-stop', stop);
+
+  return new Promise((resolve, reject) => {
+    socket.once('peer-list', () => {
+      log.info('forwarder started');
+      socket.on('disconnect', stop);
+      resolve({ stop });
+    });
+    const fail = (message) => {
+      stopped = true;
+      socket.disconnect();
+      reject(new Error(message));
+    };
+    socket.once('join-error', ({ message }) => fail(message));
+    socket.once('connect_error', (err) => fail(err.message));
+  });
+}
+
+module.exports = {
+  FORWARDER_NAME,
+  startForwarder
+};
@@ -1,26 +1,45 @@
+const crypto = require('crypto');
 const express = require('express');
 const http = require('http');
 const path = require('path');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const { Server } = require('socket.io');
 
 const {
   PORT,
-  ICE_SERVERS,
-  ICE_POLICY
+  USERS,
+  SESSION_KEY,
+  SESSION_TTL,
+  MAX_PAYLOAD,
+  REDIS_URL
 } = require('./config');
+const { verifySecret, createSessionToken, verifySessionToken } = require('./auth');
+const { getIceConfig } = require('./turn');
 const registerSockets = require('./sockets');
+const { createMemoryStore } = require('./store');
+const { createRedisStore } = require('./redisStore');
+const { LOGIN_LIMIT, createRateLimiter } = require('./rateLimit');
+const createAdminRouter = require('./admin');
+const metrics = require('./metrics');
+const { logger, requestLogger } = require('./logger');
 
 /*
  * Entry point for the Nexus Voice server.
  *
  * This file sets up an Express HTTP server with sensible security
- * defaults via Helmet, request logging via Morgan and static file
+ * defaults via Helmet, request logging via logger.js and static file
  * serving from the client build directory. It also exposes an
  * endpoint to allow clients to retrieve the configured ICE servers
- * and transport policy. A Socket.IO server sits on top of the HTTP
- * server to handle all WebRTC signalling events.
+ * and transport policy, one listing the user directory for the lobby
+ * and a login endpoint that exchanges a user's password or PIN for a
+ * signed session token. A Socket.IO server sits on top of the HTTP
+ * server to handle all WebRTC signalling events, and a token protected
+ * admin area (see admin.js) exposes the live sessions to operators.
+ * Prometheus can scrape signalling metrics from `/metrics`.
+ *
+ * With REDIS_URL set the signalling state lives in Redis and Socket.IO
+ * uses the Redis adapter, so several processes behind a load balancer
+ * serve the same rooms. Without it everything stays in this process.
  */
 
 const app = express();
@@ -34,29 +53,116 @@ app.use('/assets', express.static(path.join(__dirname, '..', 'assets')));
 // Apply basic security headers
 app.use(helmet());
 
-// Log HTTP requests to the console
-app.use(morgan('dev'));
+// Log HTTP requests through the shared logger
+app.use(requestLogger());
+
+// Parse JSON request bodies (used by the login endpoint)
+app.use(express.json({ limit: '1kb' }));
 
-// Expose ICE configuration to the frontend
+// Expose ICE configuration to the frontend. TURN credentials are only
+// minted for callers presenting a valid session token as a bearer token.
+// The TURN username ends up in the TURN server's logs, so it is labelled
+// with the opaque session id rather than the user's name, as the socket
+// path labels it with the peer id.
 app.get('/ice-config', (req, res) => {
-  res.json({ iceServers: ICE_SERVERS, icePolicy: ICE_POLICY });
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const session = verifySessionToken(token, SESSION_KEY);
+  const label = (session && session.sid) || crypto.randomBytes(12).toString('base64url');
+  res.json(getIceConfig(label, Boolean(session)));
+});
+
+// Expose the user directory so the lobby can render the allowed names
+app.get('/api/users', (req, res) => {
+  res.json({ users: USERS.map((u) => u.name) });
 });
 
-// Catch-all: serve the lobby page for any unknown route. This makes direct
-// links to /room.html work when served through a static HTTP server.
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, '..', 'client', 'public', 'index.html'));
+// Failed logins are limited per address and per name, so short PINs
+// cannot be guessed by trying them all; once either runs out the
+// endpoint answers 429. The limits are kept by each process. Buckets
+// that have refilled are dropped now and then.
+const loginLimiter = createRateLimiter({}, Date.now, LOGIN_LIMIT);
+setInterval(() => loginLimiter.prune(), 60 * 1000).unref();
+
+// Exchange a name and secret for a session token. The same error is
+// returned for unknown names and wrong secrets so the endpoint cannot be
+// used to probe the directory.
+app.post('/api/login', async (req, res, next) => {
+  try {
+    const { name, secret } = req.body || {};
+    // Every attempt takes a token up front, so concurrent guesses are
+    // counted before any of them is checked. A successful login gives
+    // its tokens back.
+    const keys = [`address:${req.ip}`, `name:${name}`];
+    if (!keys.every((key) => loginLimiter.allows(key))) {
+      logger.warn('login rate limited', { name, address: req.ip });
+      res.status(429).json({ error: 'محاولات كثيرة، حاول بعد قليل' });
+      return;
+    }
+    keys.forEach((key) => loginLimiter.take(key));
+    const user = USERS.find((u) => u.name === name);
+    if (!user || !user.secret || !await verifySecret(secret, user.secret)) {
+      res.status(401).json({ error: 'الاسم أو الرمز غير صحيح' });
+      return;
+    }
+    keys.forEach((key) => loginLimiter.giveBack(key));
+    // Each login gets its own id, so sockets.js can tell a client joining
+    // again under the same login from the same user on another device
+    const sid = crypto.randomBytes(12).toString('base64url');
+    res.json(createSessionToken(user.name, SESSION_KEY, SESSION_TTL, { sid }));
+  } catch (err) {
+    next(err);
+  }
 });
 
-// Create HTTP server and bind Socket.IO to it
+// Create HTTP server and bind Socket.IO to it. Oversized events are
+// normally rejected per event in sockets.js; the buffer limit is a hard
+// cap above that which closes the connection outright.
 const server = http.createServer(app);
-const io = new Server(server);
+const io = new Server(server, { maxHttpBufferSize: MAX_PAYLOAD * 2 });
+
+// Choose where signalling state lives. The Redis client and adapter are
+// only loaded when REDIS_URL is set.
+async function createStore() {
+  if (!REDIS_URL) return createMemoryStore();
+  const { createClient } = require('redis');
+  const { createAdapter } = require('@socket.io/redis-adapter');
+  const pubClient = createClient({ url: REDIS_URL });
+  const subClient = pubClient.duplicate();
+  for (const client of [pubClient, subClient]) {
+    client.on('error', (err) => logger.error('redis error', { err }));
+  }
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  io.adapter(createAdapter(pubClient, subClient));
+  logger.info('sharing signalling state through redis');
+  return createRedisStore(pubClient);
+}
 
-// Register WebSocket handlers for signalling
-registerSockets(io);
+async function start() {
+  // Register WebSocket handlers for signalling
+  const sessions = registerSockets(io, await createStore());
 
-// Start listening on the configured port
-server.listen(PORT, () => {
-  /* eslint-disable no-console */
-  console.log(`Nexus Voice listening on http://localhost:${PORT}`);
-});
\ No newline at end of file
+  // Admin dashboard and JSON API
+  app.use('/admin', createAdminRouter(sessions));
+
+  // Prometheus scrape endpoint
+  app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+  });
+
+  // Catch-all: serve the lobby page for any unknown route. This makes direct
+  // links to /room.html work when served through a static HTTP server.
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'client', 'public', 'index.html'));
+  });
+
+  // Start listening on the configured port
+  server.listen(PORT, () => {
+    logger.info(`Nexus Voice listening on http://localhost:${PORT}`);
+  });
+}
+
+start().catch((err) => {
+  logger.error('failed to start', { err });
+  process.exit(1);
+});
@@ -1,16 +1,114 @@
-const morgan = require('morgan');
+const crypto = require('crypto');
 
 /*
- * Centralised request logger.
+ * Centralised logger.
  *
- * This helper exports a configured Morgan middleware that can be
- * attached to an Express application to log incoming HTTP requests.
- * Logging in one place makes it easy to change format and
- * configuration across the codebase.
+ * Every server module logs through this file. A log line has a level
+ * (debug, info, warn or error), a message and a set of fields. Child
+ * loggers carry correlation fields such as the socket's peerId, user
+ * name and remote address so that they appear on every line logged for
+ * that connection. Output is either readable text or one JSON object
+ * per line for log shippers; level and format are set from LOG_LEVEL
+ * and LOG_FORMAT by config.js. Lines at warn and above go to stderr.
+ *
+ * requestLogger() is the Express middleware that logs HTTP requests
+ * through the same logger, tagging each with a request id.
  */
 
-function createLogger(format = 'dev') {
-  return morgan(format);
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const settings = {
+  level: 'info',
+  format: 'text'
+};
+
+// Apply LOG_LEVEL/LOG_FORMAT. Unknown values fall back to the defaults.
+function configureLogging({ level, format } = {}) {
+  settings.level = LEVELS[level] ? level : 'info';
+  settings.format = format === 'json' ? 'json' : 'text';
+}
+
+// Errors do not survive JSON.stringify; keep their message and stack
+function serialise(value) {
+  if (value instanceof Error) {
+    return { message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+function formatText(time, level, message, fields) {
+  const pairs = Object.entries(fields).map(([key, value]) => {
+    const text = value instanceof Error ? value.stack : (typeof value === 'string' ? value : JSON.stringify(value));
+    return `${key}=${/\s/.test(text) ? JSON.stringify(text) : text}`;
+  });
+  return [time, level.toUpperCase().padEnd(5), message, ...pairs].join(' ');
+}
+
+function write(level, message, fields) {
+  if (LEVELS[level] < LEVELS[settings.level]) return;
+  const time = new Date().toISOString();
+  let line;
+  if (settings.format === 'json') {
+    const entry = { time, level, msg: message };
+    for (const [key, value] of Object.entries(fields)) entry[key] = serialise(value);
+    line = JSON.stringify(entry);
+  } else {
+    line = formatText(time, level, message, fields);
+  }
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+// Create a logger whose lines all carry `context`. Fields passed to a
+// single call are merged on top; undefined values are left out.
+function createLogger(context = {}) {
+  const log = (level) => (message, fields = {}) => {
+    const merged = {};
+    for (const [key, value] of Object.entries({ ...context, ...fields })) {
+      if (value !== undefined) merged[key] = value;
+    }
+    write(level, message, merged);
+  };
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child(fields) {
+      return createLogger({ ...context, ...fields });
+    }
+  };
+}
+
+const logger = createLogger();
+
+// Log each HTTP request once the response has been sent. A request id
+// is taken from X-Request-Id when the client (or a proxy) sends one and
+// echoed back so both sides can be correlated.
+function requestLogger() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && incoming.length <= 64 ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', requestId);
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      const level = res.statusCode >= 500 ? 'error' : 'info';
+      logger[level]('http request', {
+        requestId,
+        method: req.method,
+        url: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        address: req.ip
+      });
+    });
+    next();
+  };
 }
 
-module.exports = createLogger;
\ No newline at end of file
+module.exports = {
+  logger,
+  configureLogging,
+  requestLogger
+};
@@ -0,0 +1,112 @@
+/*
+ * Minimal Prometheus metrics for Nexus Voice.
+ *
+ * Counters, gauges and histograms are kept in memory and rendered in
+ * the Prometheus text exposition format by render(), which index.js
+ * serves on `/metrics`. There is no client library or push gateway
+ * involved, so the endpoint works the same locally as behind a
+ * monitoring stack. Metrics are registered once per process; gauges
+ * read their value from a callback at scrape time.
+ */
+
+const metrics = [];
+
+// Escape a label value for the text format
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Key used to store one series per combination of label values
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// Counter, optionally split by labels: counter.inc({ type: 'offer' })
+function counter(name, help) {
+  const series = new Map();
+  const metric = {
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    // Report 0 until the first increment so the series exists from the
+    // first scrape
+    lines() {
+      if (!series.size) return [`${name} 0`];
+      return Array.from(series.values()).map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+    }
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+// Gauge whose value is read from `collect` on every scrape
+function gauge(name, help, collect) {
+  const metric = {
+    name,
+    help,
+    type: 'gauge',
+    lines() {
+      return [`${name} ${collect()}`];
+    }
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+// Histogram with fixed upper bounds, in the unit of the observed values
+function histogram(name, help, buckets) {
+  const bounds = buckets.slice().sort((a, b) => a - b);
+  const counts = bounds.map(() => 0);
+  let sum = 0;
+  let count = 0;
+  const metric = {
+    name,
+    help,
+    type: 'histogram',
+    observe(value) {
+      bounds.forEach((bound, i) => {
+        if (value <= bound) counts[i] += 1;
+      });
+      sum += value;
+      count += 1;
+    },
+    lines() {
+      return [
+        ...bounds.map((bound, i) => `${name}_bucket{le="${bound}"} ${counts[i]}`),
+        `${name}_bucket{le="+Inf"} ${count}`,
+        `${name}_sum ${sum}`,
+        `${name}_count ${count}`
+      ];
+    }
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+// Render every registered metric in the Prometheus text format
+function render() {
+  return metrics.map((metric) => [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+    ...metric.lines()
+  ].join('\n')).join('\n') + '\n';
+}
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  render
+};
@@ -0,0 +1,146 @@
+const OpusScript = require('opusscript');
+const { SAMPLE_RATE, opusPacketSamples, createOggOpusWriter, readOggOpusPackets } = require('./ogg');
+
+/*
+ * Offline mixdown of a finished recording.
+ *
+ * The recorder writes one Ogg/Opus file per speaker track, each starting
+ * at its own offset into the recording. mixdown() decodes them side by
+ * side in 20 ms frames, sums them into a single mono track encoded back
+ * to Opus, and detects speech on every track from its level so the
+ * manifest can say who spoke when. The work yields to the event loop
+ * regularly because it runs inside the signalling server.
+ */
+
+const FRAME_SAMPLES = 960;
+// Bitrate of the mixed file
+const MIX_BITRATE = 48000;
+// RMS level (of 32768) above which a frame counts as speech, about -36 dBFS
+const SPEECH_THRESHOLD = 500;
+// Speech continues through this many quiet frames (300 ms) so pauses
+// between words do not split a turn
+const SPEECH_HANGOVER = 15;
+// Frames decoded between yields to the event loop
+const FRAMES_PER_TICK = 250;
+
+const ms = (samples) => Math.round(samples / (SAMPLE_RATE / 1000));
+
+// Sequential reader over one track. read(from) returns the FRAME_SAMPLES
+// samples starting at global sample `from`, silent outside the track.
+function createTrackReader(track) {
+  const packets = readOggOpusPackets(track.path);
+  const decoder = new OpusScript(SAMPLE_RATE, 1, OpusScript.Application.AUDIO);
+  const start = Math.round(track.start * (SAMPLE_RATE / 1000));
+  let index = 0;
+  // Decoded samples not consumed yet, beginning at global sample `cursor`
+  let queue = new Int16Array(0);
+  let cursor = start;
+
+  function decodeNext() {
+    const packet = packets[index];
+    index += 1;
+    let pcm;
+    try {
+      const out = decoder.decode(packet);
+      pcm = new Int16Array(out.buffer.slice(out.byteOffset, out.byteOffset + out.length));
+    } catch (_) {
+      // Keep the timing of a packet the decoder rejects
+      pcm = new Int16Array(opusPacketSamples(packet));
+    }
+    const merged = new Int16Array(queue.length + pcm.length);
+    merged.set(queue);
+    merged.set(pcm, queue.length);
+    queue = merged;
+  }
+
+  return {
+    start,
+    read(from) {
+      const frame = new Int16Array(FRAME_SAMPLES);
+      const to = from + FRAME_SAMPLES;
+      while (cursor + queue.length < to && index < packets.length) decodeNext();
+      for (let i = Math.max(from, cursor); i < Math.min(to, cursor + queue.length); i += 1) {
+        frame[i - from] = queue[i - cursor];
+      }
+      // Drop what has been read
+      if (to > cursor) {
+        queue = queue.subarray(Math.min(queue.length, to - cursor));
+        cursor = to;
+      }
+      return frame;
+    },
+    done(from) {
+      return from >= cursor + queue.length && index >= packets.length;
+    },
+    release() {
+      decoder.delete();
+    }
+  };
+}
+
+/*
+ * Mix `tracks` ([{ peerId, name, path, start }], start in ms) into
+ * `output`. Resolves to the speech segments found on each track,
+ * [{ peerId, name, start, end }] in ms, ordered by start.
+ */
+async function mixdown(tracks, output) {
+  const readers = tracks.map((track) => ({ track, reader: createTrackReader(track), loud: -1, since: null }));
+  const encoder = new OpusScript(SAMPLE_RATE, 1, OpusScript.Application.AUDIO);
+  encoder.setBitrate(MIX_BITRATE);
+  const writer = createOggOpusWriter(output, { tags: { TITLE: 'mix' } });
+  const speech = [];
+
+  // Close the current speech segment of a track at its last loud frame
+  const endSpeech = (entry) => {
+    speech.push({
+      peerId: entry.track.peerId,
+      name: entry.track.name,
+      start: ms(entry.since * FRAME_SAMPLES),
+      end: ms((entry.loud + 1) * FRAME_SAMPLES)
+    });
+    entry.since = null;
+  };
+
+  try {
+    for (let frame = 0; readers.some(({ reader }) => !reader.done(frame * FRAME_SAMPLES)); frame += 1) {
+      const from = frame * FRAME_SAMPLES;
+      const mix = new Int32Array(FRAME_SAMPLES);
+      for (const entry of readers) {
+        if (from + FRAME_SAMPLES <= entry.reader.start || entry.reader.done(from)) {
+          if (entry.since !== null) endSpeech(entry);
+          continue;
+        }
+        const samples = entry.reader.read(from);
+        let energy = 0;
+        for (let i = 0; i < FRAME_SAMPLES; i += 1) {
+          mix[i] += samples[i];
+          energy += samples[i] * samples[i];
+        }
+        if (Math.sqrt(energy / FRAME_SAMPLES) > SPEECH_THRESHOLD) {
+          if (entry.since === null) entry.since = frame;
+          entry.loud = frame;
+        } else if (entry.since !== null && frame - entry.loud > SPEECH_HANGOVER) {
+          endSpeech(entry);
+        }
+      }
+      const pcm = Buffer.alloc(FRAME_SAMPLES * 2);
+      for (let i = 0; i < FRAME_SAMPLES; i += 1) {
+        pcm.writeInt16LE(Math.max(-32768, Math.min(32767, mix[i])), i * 2);
+      }
+      writer.write(Buffer.from(encoder.encode(pcm, FRAME_SAMPLES)));
+      if (frame % FRAMES_PER_TICK === 0) await new Promise((resolve) => setImmediate(resolve));
+    }
+    for (const entry of readers) {
+      if (entry.since !== null) endSpeech(entry);
+    }
+  } finally {
+    encoder.delete();
+    readers.forEach(({ reader }) => reader.release());
+    await writer.close();
+  }
+  return speech.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  mixdown
+};
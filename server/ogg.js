@@ -0,0 +1,209 @@
+const fs = require('fs');
+
+/*
+ * Ogg/Opus files for the recorder (RFC 3533 and RFC 7845).
+ *
+ * createOggOpusWriter() wraps Opus packets, exactly as they arrive in
+ * RTP payloads or leave the encoder, into an Ogg stream with the usual
+ * OpusHead and OpusTags headers. readOggOpusPackets() does the reverse
+ * for files written here so the recorder can mix them afterwards. Only
+ * what those two need is implemented: one logical stream per file,
+ * 48 kHz timing and no seeking.
+ */
+
+// Opus always counts granule positions at 48 kHz
+const SAMPLE_RATE = 48000;
+// Flush a page after this many samples (one second) or 255 lacing values
+const PAGE_SAMPLES = SAMPLE_RATE;
+const MAX_SEGMENTS = 255;
+
+// CRC-32 with the Ogg polynomial (0x04c11db7, not reflected)
+const CRC_TABLE = new Uint32Array(256);
+for (let i = 0; i < 256; i += 1) {
+  let r = i << 24;
+  for (let j = 0; j < 8; j += 1) {
+    r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+  }
+  CRC_TABLE[i] = r >>> 0;
+}
+
+function crc32(buffer) {
+  let crc = 0;
+  for (const byte of buffer) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+// Number of 48 kHz samples in an Opus packet, from its TOC byte and
+// frame count code (RFC 6716 section 3.1)
+function opusPacketSamples(packet) {
+  if (!packet.length) return 0;
+  const config = packet[0] >> 3;
+  let frameSize;
+  if (config < 12) {
+    frameSize = [480, 960, 1920, 2880][config & 3];
+  } else if (config < 16) {
+    frameSize = (config & 1) ? 960 : 480;
+  } else {
+    frameSize = [120, 240, 480, 960][config & 3];
+  }
+  const code = packet[0] & 3;
+  let frames = 1;
+  if (code === 1 || code === 2) frames = 2;
+  if (code === 3) frames = packet.length > 1 ? packet[1] & 0x3f : 0;
+  return frameSize * frames;
+}
+
+// 20 ms of silence (CELT, fullband, one empty frame), used to fill gaps
+// left by discontinuous transmission or lost packets
+const OPUS_SILENCE = Buffer.from([0xf8, 0xff, 0xfe]);
+
+function opusHead(channels) {
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0, 'latin1');
+  head.writeUInt8(1, 8);
+  head.writeUInt8(channels, 9);
+  // Pre-skip: RTP payloads carry no encoder delay information
+  head.writeUInt16LE(0, 10);
+  head.writeUInt32LE(SAMPLE_RATE, 12);
+  head.writeInt16LE(0, 16);
+  head.writeUInt8(0, 18);
+  return head;
+}
+
+function opusTags(tags) {
+  const vendor = Buffer.from('nexus-voice');
+  const comments = Object.entries(tags).map(([key, value]) => Buffer.from(`${key}=${value}`));
+  const parts = [Buffer.from('OpusTags', 'latin1'), u32(vendor.length), vendor, u32(comments.length)];
+  for (const comment of comments) parts.push(u32(comment.length), comment);
+  return Buffer.concat(parts);
+}
+
+function u32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value, 0);
+  return buffer;
+}
+
+/*
+ * Write an Ogg/Opus file. `tags` become Vorbis comments (e.g. ARTIST).
+ * write(packet) appends one Opus packet; close() flushes the last page
+ * and resolves once the file is complete. duration() is the number of
+ * samples written so far.
+ */
+function createOggOpusWriter(file, { channels = 1, tags = {} } = {}) {
+  const stream = fs.createWriteStream(file);
+  const serial = Math.floor(Math.random() * 0xffffffff);
+  let sequence = 0;
+  let granule = 0;
+  let packets = [];
+  let pendingSamples = 0;
+  let closed = false;
+
+  function writePage(data, flags, position) {
+    const lacing = [];
+    for (const packet of data) {
+      let size = packet.length;
+      while (size >= 255) {
+        lacing.push(255);
+        size -= 255;
+      }
+      lacing.push(size);
+    }
+    const header = Buffer.alloc(27 + lacing.length);
+    header.write('OggS', 0, 'latin1');
+    header.writeUInt8(0, 4);
+    header.writeUInt8(flags, 5);
+    header.writeBigUInt64LE(BigInt(position), 6);
+    header.writeUInt32LE(serial, 14);
+    header.writeUInt32LE(sequence, 18);
+    header.writeUInt32LE(0, 22);
+    header.writeUInt8(lacing.length, 26);
+    Buffer.from(lacing).copy(header, 27);
+    const page = Buffer.concat([header, ...data]);
+    page.writeUInt32LE(crc32(page), 22);
+    sequence += 1;
+    stream.write(page);
+  }
+
+  function lacingCount(packet) {
+    return Math.floor(packet.length / 255) + 1;
+  }
+
+  function flush(flags = 0) {
+    if (!packets.length && !flags) return;
+    writePage(packets, flags, granule);
+    packets = [];
+    pendingSamples = 0;
+  }
+
+  // Beginning of stream: the header pages
+  writePage([opusHead(channels)], 0x02, 0);
+  writePage([opusTags(tags)], 0, 0);
+
+  return {
+    write(packet) {
+      if (closed) return;
+      const segments = packets.reduce((sum, p) => sum + lacingCount(p), 0);
+      if (segments + lacingCount(packet) > MAX_SEGMENTS) flush();
+      packets.push(packet);
+      const samples = opusPacketSamples(packet);
+      granule += samples;
+      pendingSamples += samples;
+      if (pendingSamples >= PAGE_SAMPLES) flush();
+    },
+
+    duration() {
+      return granule;
+    },
+
+    close() {
+      if (closed) return Promise.resolve();
+      closed = true;
+      // End of stream flag on the last page
+      flush(0x04);
+      return new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.end(resolve);
+      });
+    }
+  };
+}
+
+// Read back the Opus audio packets of a file written by
+// createOggOpusWriter(), skipping the two header packets
+function readOggOpusPackets(file) {
+  const data = fs.readFileSync(file);
+  const packets = [];
+  let partial = [];
+  let offset = 0;
+  while (offset + 27 <= data.length) {
+    if (data.toString('latin1', offset, offset + 4) !== 'OggS') {
+      throw new Error(`invalid Ogg page in ${file}`);
+    }
+    const count = data[offset + 26];
+    const lacing = data.subarray(offset + 27, offset + 27 + count);
+    let position = offset + 27 + count;
+    for (const size of lacing) {
+      partial.push(data.subarray(position, position + size));
+      position += size;
+      // A lacing value below 255 ends the packet
+      if (size < 255) {
+        packets.push(Buffer.concat(partial));
+        partial = [];
+      }
+    }
+    offset = position;
+  }
+  return packets.slice(2);
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  OPUS_SILENCE,
+  crc32,
+  opusPacketSamples,
+  createOggOpusWriter,
+  readOggOpusPackets
+};
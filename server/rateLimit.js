@@ -0,0 +1,94 @@
+/*
+ * Per-socket rate limiting for Socket.IO events.
+ *
+ * Every event gets a token bucket: it starts full with `capacity` tokens,
+ * each accepted event takes one, and tokens come back at `refill` per
+ * second. Bursts such as the ICE candidates sent right after joining fit
+ * in the bucket, while a client flooding an event is throttled to the
+ * refill rate.
+ *
+ * The same buckets limit failed logins, keyed by address and by name
+ * rather than by event (see index.js).
+ */
+
+const RATE_LIMITS = {
+  'subscribe-presence': { capacity: 5, refill: 1 },
+  'unsubscribe-presence': { capacity: 5, refill: 1 },
+  'refresh-ice': { capacity: 3, refill: 0.1 },
+  join: { capacity: 3, refill: 0.2 },
+  mute: { capacity: 20, refill: 5 },
+  speaking: { capacity: 20, refill: 5 },
+  signal: { capacity: 200, refill: 50 },
+  'chat-message': { capacity: 5, refill: 1 },
+  kick: { capacity: 5, refill: 0.5 },
+  'force-mute': { capacity: 10, refill: 1 },
+  'lock-room': { capacity: 5, refill: 0.5 },
+  ban: { capacity: 5, refill: 0.5 },
+  'local-recording': { capacity: 5, refill: 0.5 },
+  'screen-share': { capacity: 5, refill: 0.5 },
+  'audio-profile': { capacity: 5, refill: 0.5 },
+  'start-recording': { capacity: 3, refill: 0.1 },
+  'stop-recording': { capacity: 3, refill: 0.1 },
+  'stats-report': { capacity: 10, refill: 1 }
+};
+
+// Fallback for events without an entry above
+const DEFAULT_LIMIT = { capacity: 10, refill: 1 };
+
+// Failed logins per address and per name: five in a row, then one a
+// minute
+const LOGIN_LIMIT = { capacity: 5, refill: 1 / 60 };
+
+// Create the buckets for one socket. take(event) returns true when the
+// event may be handled and false when it should be rejected; allows()
+// answers the same without taking a token and giveBack() returns one.
+// prune() forgets buckets that have filled up again, for limiters keyed
+// by something unbounded such as addresses.
+function createRateLimiter(limits = RATE_LIMITS, now = Date.now, fallback = DEFAULT_LIMIT) {
+  const buckets = new Map();
+
+  // The bucket of an event, refilled up to now
+  function refilled(event) {
+    const { capacity, refill } = limits[event] || fallback;
+    const time = now();
+    let bucket = buckets.get(event);
+    if (!bucket) {
+      bucket = { tokens: capacity, updated: time, capacity };
+      buckets.set(event, bucket);
+    }
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((time - bucket.updated) / 1000) * refill);
+    bucket.updated = time;
+    return bucket;
+  }
+
+  return {
+    take(event) {
+      const bucket = refilled(event);
+      if (bucket.tokens < 1) return false;
+      bucket.tokens -= 1;
+      return true;
+    },
+
+    allows(event) {
+      return refilled(event).tokens >= 1;
+    },
+
+    giveBack(event) {
+      const bucket = refilled(event);
+      bucket.tokens = Math.min(bucket.capacity, bucket.tokens + 1);
+    },
+
+    prune() {
+      for (const event of Array.from(buckets.keys())) {
+        const bucket = refilled(event);
+        if (bucket.tokens >= bucket.capacity) buckets.delete(event);
+      }
+    }
+  };
+}
+
+module.exports = {
+  RATE_LIMITS,
+  LOGIN_LIMIT,
+  createRateLimiter
+};
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const { io: connect } = require('socket.io-client');
+const { RTCPeerConnection } = require('werift');
+const { PORT, SESSION_KEY, SESSION_TTL, RECORDINGS_DIR } = require('./config');
+const { createSessionToken } = require('./auth');
+const { SAMPLE_RATE, OPUS_SILENCE, opusPacketSamples, createOggOpusWriter } = require('./ogg');
+const { mixdown } = require('./mixdown');
+const { logger } = require('./logger');
+
+/*
+ * Server-side recorder peer.
+ *
+ * When a moderator starts recording, sockets.js calls startRecorder().
+ * The recorder connects back to this server as an ordinary Socket.IO
+ * client, with a session token flagged `recorder`, and joins the room
+ * through the same signalling protocol as the browsers: they see it in
+ * `peer-list`, offer it their microphone track and it answers from a
+ * Node WebRTC stack (werift). It never sends audio of its own and never
+ * makes offers, so it is always the answering side of perfect
+ * negotiation.
+ *
+ * Every received track is written as it arrives to its own Ogg/Opus
+ * file in a directory under RECORDINGS_DIR; a peer that reconnects gets
+ * a new file. Gaps in the RTP timestamps (silence suppression, lost
+ * packets) are filled with silent frames so each file keeps real time.
+ * When the recording stops (`recorder-stop` from the server, or the
+ * recorder's socket closing) the files are closed, mixed into
+ * `mixed.ogg` and described in `manifest.json`: the tracks with their
+ * offsets and the speech segments of every speaker, in milliseconds
+ * from the start of the recording.
+ */
+
+// Name the recorder joins under; it is not in the user directory
+const RECORDER_NAME = 'مسجّل الغرفة';
+
+// Directory-safe version of a user name
+function fileSafe(name) {
+  return name.replace(/[^\p{L}\p{N}_-]+/gu, '_').slice(0, 40) || 'peer';
+}
+
+/*
+ * Write a received track to its own Ogg/Opus file at `filePath`.
+ * Packets are placed by their RTP timestamp relative to the first one;
+ * the wall clock bounds the timestamps so a bogus jump cannot fill the
+ * disk with silence. The track starts with its first packet rather
+ * than when it was announced: werift fires ontrack while applying the
+ * remote description, before ICE and DTLS have connected, so that
+ * would put every speaker early by their connection setup time.
+ *
+ * Returns the track's entry; `start` (ms from `startedAt`) is null until
+ * the first packet arrives and `end` is null until finish(), which
+ * closes the file and resolves once it is written.
+ */
+function recordTrack(track, { peerId, name, file, filePath, room, startedAt }) {
+  const entry = {
+    peerId,
+    name,
+    track,
+    file,
+    path: filePath,
+    start: null,
+    end: null,
+    writer: createOggOpusWriter(filePath, { tags: { ARTIST: name, TITLE: room } })
+  };
+
+  let arrivedAt = null;
+  let firstTimestamp = null;
+  // Offset (in samples) expected for the next packet
+  let expected = 0;
+  const subscription = track.onReceiveRtp.subscribe((rtp) => {
+    if (entry.end !== null || !rtp.payload.length) return;
+    if (firstTimestamp === null) {
+      firstTimestamp = rtp.header.timestamp;
+      arrivedAt = Date.now();
+      entry.start = arrivedAt - startedAt;
+    }
+    let offset = (rtp.header.timestamp - firstTimestamp) >>> 0;
+    const elapsed = (Date.now() - arrivedAt) * (SAMPLE_RATE / 1000) + SAMPLE_RATE;
+    if (offset > elapsed) {
+      firstTimestamp = (rtp.header.timestamp - expected) >>> 0;
+      offset = expected;
+    }
+    // Late or duplicated packet
+    if (offset < expected) return;
+    while (offset - expected >= 960) {
+      entry.writer.write(OPUS_SILENCE);
+      expected += 960;
+    }
+    entry.writer.write(rtp.payload);
+    expected = offset + opusPacketSamples(rtp.payload);
+  });
+
+  let closed = null;
+  entry.finish = () => {
+    if (closed) return closed;
+    subscription.unSubscribe();
+    // A track that never received audio is empty where it ended
+    if (entry.start === null) entry.start = Date.now() - startedAt;
+    entry.end = entry.start + Math.round(entry.writer.duration() / (SAMPLE_RATE / 1000));
+    closed = entry.writer.close();
+    return closed;
+  };
+  return entry;
+}
+
+// The manifest.json of a finished recording: its tracks with their
+// offsets and the speech segments found by mixdown(), in ms from the
+// start of the recording
+function createManifest({ room, startedBy, startedAt, stoppedAt, tracks, speech }) {
+  return {
+    room,
+    startedBy,
+    startedAt: new Date(startedAt).toISOString(),
+    stoppedAt: new Date(stoppedAt).toISOString(),
+    durationMs: stoppedAt - startedAt,
+    mixed: 'mixed.ogg',
+    tracks: tracks.map(({ peerId, name, file, start, end }) => ({ peerId, name, file, start, end })),
+    speech
+  };
+}
+
+/*
+ * Start recording `room` on behalf of `startedBy`. Resolves once the
+ * recorder has joined, to { dir, stop } where stop() resolves to the
+ * manifest once the recording has been written out. Rejects when the
+ * recorder cannot connect or is refused.
+ */
+function startRecorder(room, startedBy) {
+  const startedAt = Date.now();
+  const stamp = new Date(startedAt).toISOString().replace(/[:.]/g, '-');
+  const dir = path.join(RECORDINGS_DIR, `${room}-${stamp}`);
+  fs.mkdirSync(dir, { recursive: true });
+  const log = logger.child({ room, recording: path.basename(dir) });
+
+  const { token } = createSessionToken(RECORDER_NAME, SESSION_KEY, SESSION_TTL, { recorder: true });
+  const socket = connect(`http://127.0.0.1:${PORT}`, {
+    auth: { token },
+    reconnection: false,
+    transports: ['websocket']
+  });
+
+  let iceServers = [];
+  let icePolicy = 'all';
+  // peerId -> name of every peer in the room
+  const names = new Map();
+  // peerId -> { pc, pendingCandidates }
+  const connections = new Map();
+  // Every track recorded so far, open or closed
+  const tracks = [];
+  let stopping = null;
+
+  // Record one received track of a peer to a file of its own
+  function addTrack(peerId, track) {
+    const name = names.get(peerId) || peerId;
+    const file = `${String(tracks.length + 1).padStart(2, '0')}-${fileSafe(name)}.ogg`;
+    tracks.push(recordTrack(track, { peerId, name, file, filePath: path.join(dir, file), room, startedAt }));
+    log.info('recording track', { peerId, name, file });
+  }
+
+  function closeConnection(peerId) {
+    const connection = connections.get(peerId);
+    if (!connection) return;
+    connections.delete(peerId);
+    tracks.filter((t) => t.peerId === peerId).forEach((t) => t.finish());
+    connection.pc.close().catch(() => {});
+  }
+
+  function createConnection(peerId) {
+    const pc = new RTCPeerConnection({
+      iceServers,
+      iceTransportPolicy: icePolicy
+    });
+    pc.onicecandidate = ({ candidate }) => {
+      if (!candidate) return;
+      socket.emit('signal', { targetPeerId: peerId, data: { candidate: candidate.toJSON() } });
+    };
+    // ontrack fires again for the same track whenever the browser
+    // renegotiates, e.g. to restart ICE or change its audio profile
+    pc.ontrack = ({ track }) => {
+      if (track.kind !== 'audio') return;
+      if (tracks.some((t) => t.track === track && t.end === null)) return;
+      addTrack(peerId, track);
+    };
+    const connection = { pc, pendingCandidates: [] };
+    connections.set(peerId, connection);
+    return connection;
+  }
+
+  // Answer offers and apply candidates from the browsers. A `reset`
+  // means the other side is rebuilding the connection; its fresh offer
+  // follows.
+  async function handleSignal({ from, data }) {
+    if (stopping) return;
+    if (data.type === 'reset') {
+      closeConnection(from);
+      return;
+    }
+    if (data.type === 'offer') {
+      const { pc, pendingCandidates } = connections.get(from) || createConnection(from);
+      await pc.setRemoteDescription({ type: 'offer', sdp: data.sdp });
+      pc.getTransceivers().forEach((transceiver) => transceiver.setDirection('recvonly'));
+      for (const candidate of pendingCandidates.splice(0)) {
+        await pc.addIceCandidate(candidate).catch(() => {});
+      }
+      await pc.setLocalDescription(await pc.createAnswer());
+      socket.emit('signal', {
+        targetPeerId: from,
+        data: { type: 'answer', sdp: pc.localDescription.sdp }
+      });
+    } else if (data.candidate) {
+      const connection = connections.get(from) || createConnection(from);
+      if (!connection.pc.remoteDescription) {
+        connection.pendingCandidates.push(data.candidate);
+        return;
+      }
+      await connection.pc.addIceCandidate(data.candidate).catch(() => {});
+    }
+  }
+
+  // Close everything, mix the tracks and write the manifest
+  function stop() {
+    if (stopping) return stopping;
+    const stoppedAt = Date.now();
+    stopping = Promise.resolve()
+      .then(() => Promise.all(tracks.map((t) => t.finish())))
+      .then(() => mixdown(tracks.filter((t) => t.end > t.start), path.join(dir, 'mixed.ogg')))
+      .then((speech) => {
+        const manifest = createManifest({ room, startedBy, startedAt, stoppedAt, tracks, speech });
+        fs.writeFileSync(path.join(dir, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+        log.info('recording saved', { dir, tracks: tracks.length, durationMs: manifest.durationMs });
+        return manifest;
+      });
+    stopping.catch((err) => log.error('failed to save recording', { err }));
+    // Leaving the room removes the recorder (and the indicator) at once
+    socket.disconnect();
+    Array.from(connections.keys()).forEach(closeConnection);
+    return stopping;
+  }
+
+  socket.on('welcome', (welcome) => {
+    iceServers = welcome.iceServers || [];
+    icePolicy = welcome.icePolicy || 'all';
+    socket.emit('join', { name: RECORDER_NAME, room });
+  });
+  socket.on('peer-list', (list) => list.forEach((p) => names.set(p.peerId, p.name)));
+  socket.on('peer-joined', ({ peerId, name }) => names.set(peerId, name));
+  socket.on('peer-left', ({ peerId }) => closeConnection(peerId));
+  socket.on('signal', (message) => {
+    handleSignal(message).catch((err) => log.warn('recorder signalling failed', { from: message.from, err }));
+  });
+  socket.on('recorder-stop', stop);
+
+  return new Promise((resolve, reject) => {
+    socket.once('peer-list', () => {
+      log.info('recording started', { startedBy });
+      socket.on('disconnect', stop);
+      resolve({ dir, stop });
+    });
+    const fail = (message) => {
+      socket.disconnect();
+      fs.rmSync(dir, { recursive: true, force: true });
+      reject(new Error(message));
+    };
+    socket.once('join-error', ({ message }) => fail(message));
+    socket.once('connect_error', (err) => fail(err.message));
+  });
+}
+
+module.exports = {
+  RECORDER_NAME,
+  recordTrack,
+  createManifest,
+  startRecorder
+};
@@ -0,0 +1,230 @@
+/*
+ * Redis implementation of the signalling store (see store.js).
+ *
+ * Used when REDIS_URL is set so that several server processes, joined
+ * through the Socket.IO Redis adapter, share peers, names, resume tokens,
+ * room locks, bans and chat scrollback. The store takes a connected
+ * node-redis (v4) client and only uses these commands, so any stand-in
+ * implementing them can be passed instead (e.g. in tests):
+ *
+ *   get, set (with NX / PX options), del, getDel, exists, pExpire,
+ *   hSet, hGetAll, sAdd, sRem, sMembers, rPush, lTrim, lRange
+ *
+ * Keys, all under `prefix`:
+ *
+ *   peer:<peerId>          hash of the peer's fields, each as JSON
+ *   peers                  set of all peerIds
+ *   room:<room>:peers      set of the peerIds in a room
+ *   name:<room>:<name>     peerId holding a name in a room
+ *   resume:<token>         peerId a resume token belongs to
+ *   lock:<room>            present while a room is locked
+ *   mesh:<room>            present while a forwarded room runs as a mesh
+ *   ban:<room>:<name>      ban expiry (ms), expires with the ban
+ *   recording:<room>       running recording as JSON
+ *   chat:<room>            recent chat messages as JSON, oldest first
+ *
+ * updatePeer() only writes the fields it is given, so updates racing
+ * each other (say a moderator's force-mute and the peer's own stats
+ * report) cannot undo one another. A peer removed meanwhile would be
+ * recreated as a fragment by HSET; updatePeer() spots the missing
+ * fields and deletes it again, and readers ignore such fragments.
+ *
+ * Nothing lives forever, so a process that crashes does not leave its
+ * peers listed and their names claimed. Every peer is owned by the
+ * process that last gave it a socket (its `owner` hash field, which
+ * getPeer() leaves out), and all keys except bans are written with a
+ * `ttl` (seconds). Each process refreshes the keys of the peers it owns
+ * and the room state of their rooms every third of that; the keys of a
+ * dead process expire, and listPeers() drops the ids of expired peers
+ * from the sets it reads.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+function createRedisStore(client, { prefix = 'nexus:', ttl = 30 } = {}) {
+  const key = (...parts) => prefix + parts.join(':');
+  const ttlMs = ttl * 1000;
+  // This process, and the peers it keeps alive
+  const owner = crypto.randomUUID();
+  const owned = new Set();
+  const parse = (value) => (value ? JSON.parse(value) : null);
+
+  // Peer fields as hash fields and back. A hash without a peerId is
+  // missing or a fragment left by updatePeer().
+  const encode = (fields) => Object.fromEntries(Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([field, value]) => [field, JSON.stringify(value)]));
+  const decode = (hash) => {
+    if (!hash || !hash.peerId) return null;
+    return Object.fromEntries(Object.entries(hash)
+      .filter(([field]) => field !== 'owner')
+      .map(([field, value]) => [field, JSON.parse(value)]));
+  };
+
+  async function getPeer(peerId) {
+    return decode(await client.hGetAll(key('peer', peerId)));
+  }
+
+  // Refresh the keys of the peers this process owns and of their rooms.
+  // Peers since taken over by another process are left to it.
+  async function heartbeat() {
+    const rooms = new Set();
+    const keys = [key('peers')];
+    await Promise.all(Array.from(owned, async (peerId) => {
+      const hash = await client.hGetAll(key('peer', peerId));
+      const peer = decode(hash);
+      if (!peer || hash.owner !== owner) {
+        owned.delete(peerId);
+        return;
+      }
+      rooms.add(peer.room);
+      keys.push(key('peer', peerId), key('name', peer.room, peer.name));
+      if (peer.resumeToken) keys.push(key('resume', peer.resumeToken));
+    }));
+    rooms.forEach((room) => {
+      keys.push(key('room', room, 'peers'), key('lock', room), key('mesh', room), key('recording', room), key('chat', room));
+    });
+    await Promise.all(keys.map((k) => client.pExpire(k, ttlMs)));
+  }
+
+  setInterval(() => {
+    heartbeat().catch((err) => logger.error('failed to refresh redis keys', { err }));
+  }, ttlMs / 3).unref();
+
+  return {
+    async addPeer(peer) {
+      const peerKey = key('peer', peer.peerId);
+      await client.hSet(peerKey, { ...encode(peer), owner });
+      await client.pExpire(peerKey, ttlMs);
+      owned.add(peer.peerId);
+      await client.sAdd(key('peers'), peer.peerId);
+      await client.sAdd(key('room', peer.room, 'peers'), peer.peerId);
+      await client.pExpire(key('peers'), ttlMs);
+      await client.pExpire(key('room', peer.room, 'peers'), ttlMs);
+    },
+
+    getPeer,
+
+    async updatePeer(peerId, fields) {
+      const peerKey = key('peer', peerId);
+      if (!await client.exists(peerKey)) return null;
+      const changes = encode(fields);
+      // A peer moving to a socket of this process is now kept alive here
+      if (fields.socketId !== undefined) changes.owner = owner;
+      if (Object.keys(changes).length) await client.hSet(peerKey, changes);
+      const peer = await getPeer(peerId);
+      if (!peer) {
+        // Removed between the check and the write
+        await client.del(peerKey);
+        return null;
+      }
+      if (changes.owner) owned.add(peerId);
+      return peer;
+    },
+
+    async removePeer(peerId) {
+      const peer = await getPeer(peerId);
+      if (!peer) return null;
+      owned.delete(peerId);
+      await client.del(key('peer', peerId));
+      await client.sRem(key('peers'), peerId);
+      await client.sRem(key('room', peer.room, 'peers'), peerId);
+      const nameKey = key('name', peer.room, peer.name);
+      if (await client.get(nameKey) === peerId) await client.del(nameKey);
+      if (peer.resumeToken) await client.del(key('resume', peer.resumeToken));
+      return peer;
+    },
+
+    async listPeers(room) {
+      const setKey = room === undefined ? key('peers') : key('room', room, 'peers');
+      const ids = await client.sMembers(setKey);
+      if (!ids.length) return [];
+      const peers = await Promise.all(ids.map(getPeer));
+      // Forget peers that expired with their process
+      const expired = ids.filter((id, i) => !peers[i]);
+      if (expired.length) await client.sRem(setKey, expired);
+      return peers.filter(Boolean).sort((a, b) => a.joinedAt - b.joinedAt);
+    },
+
+    async claimName(room, name, peerId) {
+      const nameKey = key('name', room, name);
+      if (await client.set(nameKey, peerId, { NX: true, PX: ttlMs }) === 'OK') return true;
+      return await client.get(nameKey) === peerId;
+    },
+
+    async setResumeToken(token, peerId) {
+      await client.set(key('resume', token), peerId, { PX: ttlMs });
+    },
+
+    async takeResumeToken(token) {
+      return client.getDel(key('resume', token));
+    },
+
+    async setRoomLocked(room, locked) {
+      if (locked) {
+        await client.set(key('lock', room), '1', { PX: ttlMs });
+      } else {
+        await client.del(key('lock', room));
+      }
+    },
+
+    async isRoomLocked(room) {
+      return Boolean(await client.get(key('lock', room)));
+    },
+
+    async setMeshFallback(room, fallback) {
+      if (fallback) {
+        await client.set(key('mesh', room), '1', { PX: ttlMs });
+      } else {
+        await client.del(key('mesh', room));
+      }
+    },
+
+    async isMeshFallback(room) {
+      return Boolean(await client.get(key('mesh', room)));
+    },
+
+    async setBan(room, name, until) {
+      await client.set(key('ban', room, name), String(until), { PX: Math.max(1, until - Date.now()) });
+    },
+
+    async getBan(room, name) {
+      const until = Number(await client.get(key('ban', room, name)));
+      return until > Date.now() ? until : null;
+    },
+
+    async setRecording(room, recording) {
+      if (recording) {
+        await client.set(key('recording', room), JSON.stringify(recording), { PX: ttlMs });
+      } else {
+        await client.del(key('recording', room));
+      }
+    },
+
+    async getRecording(room) {
+      return parse(await client.get(key('recording', room)));
+    },
+
+    async appendChat(room, message, limit) {
+      await client.rPush(key('chat', room), JSON.stringify(message));
+      await client.lTrim(key('chat', room), -limit, -1);
+      await client.pExpire(key('chat', room), ttlMs);
+    },
+
+    async getChat(room) {
+      return (await client.lRange(key('chat', room), 0, -1)).map(parse);
+    },
+
+    async clearRoom(room) {
+      await client.del(key('chat', room));
+      await client.del(key('lock', room));
+      await client.del(key('mesh', room));
+      await client.del(key('recording', room));
+    }
+  };
+}
+
+module.exports = {
+  createRedisStore
+};
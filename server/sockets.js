@@ -1,136 +1,985 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const { ICE_SERVERS, ICE_POLICY } = require('./config');
+const {
+  USERS,
+  SESSION_KEY,
+  CHAT_HISTORY,
+  STATS_REPORTING,
+  RESUME_GRACE,
+  MAX_PAYLOAD,
+  RECORDING_ENABLED,
+  FORWARD_ROOMS
+} = require('./config');
+const { verifySessionToken } = require('./auth');
+const { getIceConfig } = require('./turn');
+const { SCHEMAS, validate } = require('./validation');
+const { createRateLimiter } = require('./rateLimit');
+const { createMemoryStore } = require('./store');
+const metrics = require('./metrics');
+const { logger } = require('./logger');
 
 /*
  * Socket.IO signalling server for Nexus Voice.
  *
  * When a client connects it is assigned a unique peerId and receives
- * the ICE configuration. Clients must then send a `join` event with
- * their chosen user name. The server keeps track of all peers and
- * propagates signalling messages (offers, answers and ICE candidates)
- * between them. When a client disconnects the server notifies the
- * remaining peers so they can close their connections.
+ * the ICE configuration. Clients log in with a session token and then
+ * send a `join` event with their user name and the room they want to
+ * enter. The server keeps track of all peers and propagates signalling
+ * messages (offers, answers and ICE candidates) and chat between
+ * members of the same room. When a client leaves the server notifies
+ * the remaining peers in its room so they can close their connections.
+ * registerSockets() returns a small interface used by the admin API to
+ * inspect live sessions, disconnect sockets and broadcast notices.
  */
 
-function registerSockets(io) {
-  // Map socket.id -> { peerId, name }
-  const clients = new Map();
-  // Map peerId -> socket.id
-  const peerToSocket = new Map();
-  // Set of sockets that have subscribed to presence updates from the lobby.
-  // These sockets are not yet part of the voice chat but want to know which
-  // names are currently in use. Whenever a peer joins or leaves, all
-  // subscribers will receive a `presence` event with the list of active names.
-  const presenceWatchers = new Set();
+// Room used when a client does not ask for a specific one. Every room
+// maps onto the Socket.IO room of the same id, so presence, mute and
+// signalling traffic never leaks between conversations.
+const DEFAULT_ROOM = 'main';
+
+// Room ids travel in URLs, so restrict them to a short, URL-safe
+// alphabet. Anything else is rejected rather than silently rewritten.
+const ROOM_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Socket.IO room holding the lobby sockets that watch presence. The
+// colon keeps it apart from any room id a client can choose.
+const PRESENCE_ROOM = 'presence:watchers';
+
+// How long the recorder may take to join before a recording is given
+// up, in ms
+const RECORDER_START_TIMEOUT = 15000;
+
+// Normalise a room id supplied by a client. Returns null when the id
+// is not acceptable.
+function normaliseRoomId(room) {
+  if (room === undefined || room === null || room === '') return DEFAULT_ROOM;
+  if (typeof room !== 'string') return null;
+  const id = room.trim().toLowerCase();
+  return ROOM_ID_PATTERN.test(id) ? id : null;
+}
+
+// Address of the client behind a socket, for display in the admin
+// dashboard. Behind a tunnel or reverse proxy (e.g. ngrok) the first
+// X-Forwarded-For entry is the real client; the header is not trusted
+// for anything else.
+function remoteAddress(socket) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (typeof forwarded === 'string' && forwarded) return forwarded.split(',')[0].trim();
+  return socket.handshake.address;
+}
+
+// Peers, names, rooms and resume tokens live in `store` (see store.js)
+// rather than in this module. With the in-memory store everything stays
+// in one process; with the Redis store and the Socket.IO Redis adapter
+// several processes share the same state, and emits to a room or to a
+// socket id reach clients connected to any of them. Only the suspend
+// timers and per-socket rate limits are local to a process.
+function registerSockets(io, store = createMemoryStore()) {
+  // Names allowed to join, taken from the user directory
+  const allowedNames = new Set(USERS.map((u) => u.name));
+  // Names that moderate every room they join
+  const moderatorNames = new Set(USERS.filter((u) => u.moderator).map((u) => u.name));
+
+  // Map peerId -> timer removing the peer when its resume grace period
+  // runs out. Only the process that saw the socket drop holds the timer.
+  const suspendTimers = new Map();
+  // peerIds joined through sockets of this process, for the metrics
+  const localPeers = new Set();
+  // Rooms whose forwarder this process has started
+  const forwarders = new Set();
+
+  // Prometheus metrics (see metrics.js). Gauges describe this process
+  // only.
+  metrics.gauge('nexus_connected_sockets', 'Socket.IO connections currently open',
+    () => io.of('/').sockets.size);
+  metrics.gauge('nexus_joined_peers', 'Peers joined to a room through this process',
+    () => localPeers.size);
+  metrics.gauge('nexus_presence_watchers', 'Lobby sockets subscribed to presence updates',
+    () => (io.of('/').adapter.rooms.get(PRESENCE_ROOM) || new Set()).size);
+  const joinsTotal = metrics.counter('nexus_joins_total', 'Successful room joins');
+  const joinErrorsTotal = metrics.counter('nexus_join_errors_total', 'Refused joins by error code');
+  const signalsTotal = metrics.counter('nexus_signals_relayed_total', 'Signalling messages relayed by type');
+  const disconnectsTotal = metrics.counter('nexus_disconnects_total', 'Socket disconnects by reason');
+  const welcomeToJoin = metrics.histogram('nexus_welcome_to_join_seconds',
+    'Time between sending welcome and a successful join',
+    [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+
+  // Peer list entry as sent to clients
+  const listEntry = (peer) => ({
+    peerId: peer.peerId,
+    name: peer.name,
+    muted: peer.muted,
+    recorder: peer.recorder,
+    forwarder: peer.forwarder,
+    localRecording: peer.localRecording,
+    sharing: peer.sharing,
+    audioProfile: peer.audioProfile
+  });
+
+  // Whether a room is served by a forwarder instead of a full mesh.
+  // Members of a room listed in FORWARD_ROOMS connect only to its
+  // forwarder peer (see forwarder.js, and a recorder if one is running),
+  // which joins through this same protocol flagged `forwarder`;
+  // `room-state` tells them the room is `forwarded`.
+  const isForwardedRoom = (room) => FORWARD_ROOMS.includes('*') || FORWARD_ROOMS.includes(room);
+
+  // Peers that are part of the service rather than participants
+  const isServicePeer = (peer) => peer.recorder || peer.forwarder;
+
+  // Build the presence snapshot sent to the lobby: one entry per active
+  // room with the names of its occupants and whether it is locked or
+  // being recorded, sorted by room id. Recorder and forwarder peers are
+  // not listed.
+  async function presenceSnapshot() {
+    const rooms = new Map();
+    for (const peer of await store.listPeers()) {
+      if (isServicePeer(peer)) continue;
+      if (!rooms.has(peer.room)) rooms.set(peer.room, []);
+      rooms.get(peer.room).push(peer.name);
+    }
+    const ids = Array.from(rooms.keys()).sort((a, b) => a.localeCompare(b));
+    return Promise.all(ids.map(async (room) => ({
+      room,
+      names: rooms.get(room),
+      locked: await store.isRoomLocked(room),
+      recording: Boolean(await store.getRecording(room))
+    })));
+  }
+
+  // Notify all presence subscribers of the current rooms
+  async function broadcastPresence() {
+    io.to(PRESENCE_ROOM).emit('presence', await presenceSnapshot());
+  }
+
+  // Logger for lines about a joined peer that are not tied to one of
+  // its socket's events
+  function peerLogger(peer) {
+    return logger.child({
+      peerId: peer.peerId,
+      name: peer.name,
+      room: peer.room,
+      address: peer.address
+    });
+  }
+
+  // Moderation state of a room as sent to its members
+  async function roomState(room) {
+    const members = await store.listPeers(room);
+    return {
+      locked: await store.isRoomLocked(room),
+      moderators: members.filter((p) => p.moderator).map((p) => p.peerId),
+      forceMuted: members.filter((p) => p.forceMuted).map((p) => p.peerId),
+      recording: await store.getRecording(room),
+      forwarded: isForwardedRoom(room) && !await store.isMeshFallback(room)
+    };
+  }
+
+  async function broadcastRoomState(room) {
+    io.to(room).emit('room-state', await roomState(room));
+  }
+
+  // Remove a peer on a moderator's or operator's behalf. Its client is
+  // told why before the socket is closed, wherever it is connected; a
+  // suspended peer is simply dropped.
+  async function expelPeer(peer, reason, by) {
+    if (peer.suspended) {
+      await removePeer(peer.peerId);
+      return;
+    }
+    io.to(peer.socketId).emit('kicked', { reason, by });
+    io.in(peer.socketId).disconnectSockets(true);
+  }
+
+  // Remove a peer for good: tell its room it has left and update
+  // presence. Used when a socket leaves deliberately and when a
+  // suspended peer's grace period runs out.
+  async function removePeer(peerId) {
+    clearTimeout(suspendTimers.get(peerId));
+    suspendTimers.delete(peerId);
+    const peer = await store.removePeer(peerId);
+    if (!peer) return;
+    peerLogger(peer).info('peer left room');
+    // Inform other peers in the room that this peer has left
+    io.to(peer.room).emit('peer-left', { peerId });
+    if (peer.recorder) await store.setRecording(peer.room, null);
+    if (peer.forwarder) forwarders.delete(peer.room);
+    const remaining = await store.listPeers(peer.room);
+    const people = remaining.filter((p) => !isServicePeer(p));
+    if (remaining.length === 0) {
+      await store.clearRoom(peer.room);
+    } else if (people.length === 0) {
+      // Nobody left to record or forward to; the room is cleared once
+      // the service peers have gone
+      remaining.forEach((service) => {
+        io.to(service.socketId).emit(service.recorder ? 'recorder-stop' : 'forwarder-stop');
+      });
+    } else {
+      // Forget quality reports about the departed peer
+      for (const other of remaining) {
+        if (other.stats[peerId]) {
+          delete other.stats[peerId];
+          await store.updatePeer(other.peerId, { stats: other.stats });
+        }
+      }
+      // Never leave a room without a moderator
+      if (!people.some((p) => p.moderator)) {
+        const heir = people.find((p) => !p.suspended) || people[0];
+        await store.updatePeer(heir.peerId, { moderator: true });
+        peerLogger(heir).info('moderation: moderator role handed over');
+      }
+      const state = await roomState(peer.room);
+      io.to(peer.room).emit('room-state', state);
+      // A forwarder that dropped out, or left after being told to stop
+      // just as somebody joined, is replaced while people remain
+      if (peer.forwarder && state.forwarded && !remaining.some((p) => p.forwarder)) {
+        ensureForwarder(peer.room);
+      }
+    }
+    // Notify presence subscribers of the updated rooms
+    await broadcastPresence();
+  }
+
+  // Start the forwarder of a room unless this process already is. This
+  // happens when the first person joins; the forwarder is sent
+  // `forwarder-stop` when the last one leaves. Two processes racing to
+  // start one are settled by the name claim: the second forwarder is
+  // refused on join.
+  function ensureForwarder(room) {
+    if (forwarders.has(room)) return;
+    forwarders.add(room);
+    // Loaded on demand: the WebRTC stack is only needed for forwarding
+    const { startForwarder } = require('./forwarder');
+    startForwarder(room).catch((err) => {
+      forwarders.delete(room);
+      logger.warn('forwarder not started', { room, err });
+      return fallBackToMesh(room);
+    }).catch((err) => logger.error('failed to fall back to mesh', { room, err }));
+  }
+
+  // Run a forwarded room whose forwarder could not be started as a full
+  // mesh until it empties, rather than leave it silent. Clients learn it
+  // from `room-state` and are sent the peer list again so they connect
+  // to each other. Nothing changes when another process's forwarder won
+  // the race or nobody is left.
+  async function fallBackToMesh(room) {
+    const members = await store.listPeers(room);
+    if (members.some((p) => p.forwarder) || !members.some((p) => !isServicePeer(p))) return;
+    await store.setMeshFallback(room, true);
+    logger.warn('forwarded room falling back to mesh', { room });
+    await broadcastRoomState(room);
+    io.to(room).emit('peer-list', members.map(listEntry));
+  }
+
+  // Keep a peer whose socket dropped in its room for RESUME_GRACE
+  // seconds so it can come back without anybody noticing. If it resumes
+  // through another process in the meantime its socket id changes and
+  // the timer leaves it alone.
+  async function suspendPeer(peer) {
+    await store.updatePeer(peer.peerId, { suspended: true });
+    peerLogger(peer).info('peer suspended', { graceSeconds: RESUME_GRACE });
+    suspendTimers.set(peer.peerId, setTimeout(() => {
+      suspendTimers.delete(peer.peerId);
+      store.getPeer(peer.peerId)
+        .then((current) => {
+          if (current && current.suspended && current.socketId === peer.socketId) {
+            return removePeer(peer.peerId);
+          }
+          return null;
+        })
+        .catch((err) => logger.error('failed to remove suspended peer', { peerId: peer.peerId, err }));
+    }, RESUME_GRACE * 1000));
+  }
+
+  // Hand a peer over to a new socket. The peer need not be suspended
+  // yet: after a network change the client is usually back before the
+  // old socket has timed out, and that socket is then closed. Its
+  // disconnect handler sees the peer has moved on and leaves it alone.
+  // Returns the peer, or null when the token is unknown or the session
+  // belongs to someone else.
+  async function resumePeer(resumeToken, session, socket) {
+    const peerId = await store.takeResumeToken(resumeToken);
+    const peer = peerId && await store.getPeer(peerId);
+    if (!peer || !session || session.name !== peer.name) {
+      return null;
+    }
+    clearTimeout(suspendTimers.get(peerId));
+    suspendTimers.delete(peerId);
+    const resumed = await store.updatePeer(peerId, {
+      socketId: socket.id,
+      suspended: false,
+      address: remoteAddress(socket)
+    });
+    if (!resumed) return null;
+    const takeover = !peer.suspended && peer.socketId !== socket.id;
+    if (takeover) io.in(peer.socketId).disconnectSockets(true);
+    peerLogger(resumed).info('peer resumed', { socketId: socket.id, takeover });
+    return resumed;
+  }
+
+  // Verify the session token from `/api/login` presented in the
+  // handshake (`auth.token`) and reclaim a peer when the client presents
+  // its resume token (`auth.resumeToken`). This runs
+  // as middleware so the store lookups finish before the connection
+  // handler registers its listeners. Lobby sockets only watch presence
+  // and connect without a session.
+  io.use((socket, next) => {
+    const { auth } = socket.handshake;
+    socket.data.session = verifySessionToken(auth && auth.token, SESSION_KEY);
+    socket.data.resumed = null;
+    if (!auth || typeof auth.resumeToken !== 'string') {
+      next();
+      return;
+    }
+    resumePeer(auth.resumeToken, socket.data.session, socket)
+      .then((peer) => {
+        socket.data.resumed = peer;
+      })
+      .catch((err) => logger.error('failed to resume peer', { err }))
+      .finally(() => next());
+  });
 
   io.on('connection', (socket) => {
-    // Assign a unique peerId to this socket
-    const peerId = uuidv4();
+    const { session, resumed } = socket.data;
+    // A resumed socket keeps its peer's id, otherwise assign a fresh one
+    const peerId = resumed ? resumed.peerId : uuidv4();
+    // Set once this socket has joined a room (or resumed into one)
+    let joined = Boolean(resumed);
+    // Token this socket can use to resume after a reconnect, sent in
+    // `welcome`. If the socket drops without the client leaving, the
+    // peer stays in its room for RESUME_GRACE seconds and a socket
+    // presenting the token reclaims the same peerId, name and room
+    // without `peer-left`/`peer-joined` being broadcast. It is only
+    // registered once the socket has joined a room.
+    const resumeToken = crypto.randomBytes(24).toString('base64url');
+
+    // Correlation fields for every line logged about this socket; name
+    // and room are added once it has joined
+    let log = logger.child({ socketId: socket.id, peerId, address: remoteAddress(socket) });
+    if (resumed) log = log.child({ name: resumed.name, room: resumed.room });
+    log.debug('socket connected', { authenticated: Boolean(session), resumed: Boolean(resumed) });
+
+    // This socket's peer as currently stored, or null before joining
+    async function currentPeer() {
+      return joined ? store.getPeer(peerId) : null;
+    }
+
+    // Refuse a join (or a session-only event) and count it
+    function rejectJoin(code, message) {
+      joinErrorsTotal.inc({ code });
+      log.info('join refused', { code });
+      socket.emit('join-error', { code, message });
+    }
+
+    // Guard for events that require a logged in user. Unauthenticated
+    // sockets are told why and disconnected.
+    function requireSession() {
+      if (session && session.exp * 1000 > Date.now()) return true;
+      rejectJoin('unauthenticated', 'يجب تسجيل الدخول أولًا');
+      socket.disconnect(true);
+      return false;
+    }
+
+    // Tell the client why one of its events was refused
+    function rejectEvent(event, code, message) {
+      socket.emit('event-error', { event, code, message });
+    }
 
-    // Immediately inform the client of its peerId and ICE configuration
+    // Look up the sender for a moderator command, refusing peers that
+    // have not joined or do not hold the role
+    async function requireModerator(event) {
+      const peer = await currentPeer();
+      if (!peer) {
+        rejectEvent(event, 'not-joined', 'لم تنضم إلى غرفة بعد');
+        return null;
+      }
+      if (!peer.moderator) {
+        rejectEvent(event, 'forbidden', 'هذا الإجراء للمشرفين فقط');
+        return null;
+      }
+      return peer;
+    }
+
+    // Find the target of a moderator command in the moderator's room.
+    // Moderators cannot act on themselves or on each other.
+    async function moderationTarget(event, peer, targetPeerId) {
+      const target = await store.getPeer(targetPeerId);
+      if (!target || target.room !== peer.room || target.peerId === peer.peerId) {
+        rejectEvent(event, 'unknown-peer', 'المشارك غير موجود في الغرفة');
+        return null;
+      }
+      if (target.recorder) {
+        rejectEvent(event, 'forbidden', 'أوقف التسجيل بدل ذلك');
+        return null;
+      }
+      if (target.forwarder) {
+        rejectEvent(event, 'forbidden', 'لا يمكن تطبيق هذا الإجراء على موزّع الغرفة');
+        return null;
+      }
+      if (target.moderator) {
+        rejectEvent(event, 'forbidden', 'لا يمكن تطبيق هذا الإجراء على مشرف');
+        return null;
+      }
+      return target;
+    }
+
+    // Register a handler that only sees payloads which passed the rate
+    // limit, the size limit and the event's schema. Rejected events are
+    // answered with `event-error` rather than dropped silently. Handlers
+    // may be async; their errors are logged instead of escaping into
+    // Socket.IO.
+    const limiter = createRateLimiter();
+    function on(event, handler) {
+      socket.on(event, (payload) => {
+        if (!limiter.take(event)) {
+          rejectEvent(event, 'rate-limited', 'طلبات كثيرة، حاول بعد قليل');
+          return;
+        }
+        if (payload !== undefined && Buffer.byteLength(JSON.stringify(payload)) > MAX_PAYLOAD) {
+          rejectEvent(event, 'payload-too-large', 'حجم البيانات أكبر من المسموح');
+          return;
+        }
+        const error = validate(SCHEMAS[event], payload);
+        if (error) {
+          log.warn('rejected event', { event, error });
+          rejectEvent(event, 'invalid-payload', 'بيانات غير صالحة');
+          return;
+        }
+        Promise.resolve()
+          .then(() => handler(payload))
+          .catch((err) => {
+            log.error('event handler failed', { event, err });
+            rejectEvent(event, 'internal-error', 'حدث خطأ في الخادم');
+          });
+      });
+    }
+
+    // Immediately inform the client of its peerId and ICE configuration.
+    // Only authenticated clients get TURN credentials.
+    const iceConfig = getIceConfig(peerId, Boolean(session));
     socket.emit('welcome', {
       peerId,
-      iceServers: ICE_SERVERS,
-      icePolicy: ICE_POLICY
+      iceServers: iceConfig.iceServers,
+      icePolicy: iceConfig.icePolicy,
+      iceExpiresAt: iceConfig.expiresAt,
+      statsReporting: STATS_REPORTING,
+      recordingEnabled: RECORDING_ENABLED,
+      resumeToken,
+      resumed: Boolean(resumed)
+    });
+    const welcomedAt = Date.now();
+
+    // A resumed client skips `join`: send it the current room state so it
+    // can reconcile its connections and catch up on chat
+    if (resumed) {
+      socket.join(resumed.room);
+      localPeers.add(peerId);
+      Promise.all([
+        store.updatePeer(peerId, { resumeToken }),
+        store.setResumeToken(resumeToken, peerId),
+        store.listPeers(resumed.room),
+        store.getChat(resumed.room),
+        roomState(resumed.room)
+      ])
+        .then(([, , members, history, state]) => {
+          socket.emit('room-state', state);
+          socket.emit('peer-list', members.map(listEntry));
+          socket.emit('chat-history', history);
+        })
+        .catch((err) => log.error('failed to restore resumed peer', { err }));
+    }
+
+    // Renew TURN credentials before they expire so long calls can keep
+    // relaying without rejoining
+    on('refresh-ice', () => {
+      if (!requireSession()) return;
+      socket.emit('ice-config', getIceConfig(peerId, true));
     });
 
     /**
      * Presence subscription: sockets connecting on the lobby page can
-     * subscribe to presence updates. We add them to the watcher set and
-     * immediately send the current list of active names. They can later
-     * unsubscribe or will be removed automatically on disconnect.
+     * subscribe to presence updates. They join the presence room and
+     * immediately receive the current list of active rooms. They can
+     * later unsubscribe or leave the room automatically on disconnect.
      */
-    socket.on('subscribe-presence', () => {
-      presenceWatchers.add(socket);
-      const names = Array.from(clients.values()).map((c) => c.name);
-      socket.emit('presence', names);
+    on('subscribe-presence', async () => {
+      socket.join(PRESENCE_ROOM);
+      socket.emit('presence', await presenceSnapshot());
     });
 
-    socket.on('unsubscribe-presence', () => {
-      presenceWatchers.delete(socket);
+    on('unsubscribe-presence', () => {
+      socket.leave(PRESENCE_ROOM);
     });
 
-    // Handle the join event once the user has selected a name
-    socket.on('join', ({ name }) => {
-      // Prevent two users from using the same name concurrently. If the
-      // chosen name is already in use emit an error and abort joining.
-      const nameTaken = Array.from(clients.values()).some((c) => c.name === name);
-      if (nameTaken) {
-        socket.emit('join-error', { message: 'الاسم مستخدم بالفعل' });
+    // Handle the join event once the user has selected a name and room
+    on('join', async ({ name, room }) => {
+      if (!requireSession()) return;
+      // A socket belongs to a single room for its whole lifetime
+      if (joined) return;
+      const roomId = normaliseRoomId(room);
+      if (!roomId) {
+        rejectJoin('invalid-room', 'اسم الغرفة غير صالح');
         return;
       }
-      // Save the peer data
-      clients.set(socket.id, { peerId, name });
-      peerToSocket.set(peerId, socket.id);
-
-      console.log(`peer ${peerId} joined as ${name}`);
-
-      // Send the list of all current peers to the new user
-      const peerList = Array.from(clients.values()).map((c) => ({
-        peerId: c.peerId,
-        name: c.name
-      }));
-      socket.emit('peer-list', peerList);
-
-      // Let everyone else know that a new peer has joined
-      socket.broadcast.emit('peer-joined', { peerId, name });
-
-      // Notify all presence subscribers of the updated list of names
-      const activeNames = Array.from(clients.values()).map((c) => c.name);
-      for (const watcher of presenceWatchers) {
-        watcher.emit('presence', activeNames);
-      }
-    });
-
-    // When a client toggles mute/unmute, broadcast the new state to all
-    // other peers. The client sends its peerId and muted status. We rely on
-    // closure variable peerId rather than trusting the payload.
-    socket.on('mute', ({ muted }) => {
-      // Broadcast to all connected clients except the sender
-      socket.broadcast.emit('mute', { peerId, muted });
-    });
-
-    // Relay signalling data between peers
-    socket.on('signal', ({ targetPeerId, data }) => {
-      const targetSocketId = peerToSocket.get(targetPeerId);
-      if (targetSocketId) {
-        const type = data && data.type ? data.type : (data.candidate ? 'candidate' : 'unknown');
-        console.log(`relay signal from ${peerId} to ${targetPeerId} (${type})`);
-        io.to(targetSocketId).emit('signal', {
-          from: peerId,
-          data
-        });
-      }
-    });
-
-    // Clean up when a user disconnects
-    socket.on('disconnect', () => {
-      const clientInfo = clients.get(socket.id);
-      if (clientInfo) {
-        clients.delete(socket.id);
-        peerToSocket.delete(clientInfo.peerId);
-        console.log(`peer ${clientInfo.peerId} disconnected`);
-        // Inform other peers that this peer has left
-        socket.broadcast.emit('peer-left', { peerId: clientInfo.peerId });
-
-        // Notify presence subscribers of the updated list
-        const remainingNames = Array.from(clients.values()).map((c) => c.name);
-        for (const watcher of presenceWatchers) {
-          watcher.emit('presence', remainingNames);
+      // Only names listed in the user directory may join, and only
+      // under the name the session token was issued for. The server's
+      // own recorder peer is not in the directory; it is admitted while a
+      // recording of the room is running. Its forwarder is admitted to
+      // forwarded rooms.
+      const recorder = session.recorder === true;
+      const forwarder = session.forwarder === true;
+      const service = recorder || forwarder;
+      if (recorder) {
+        if (!await store.getRecording(roomId)) {
+          rejectJoin('not-recording', 'لا يوجد تسجيل جارٍ في الغرفة');
+          return;
         }
+      } else if (forwarder) {
+        if (!isForwardedRoom(roomId)) {
+          rejectJoin('not-forwarded', 'الغرفة لا تستخدم التوزيع عبر الخادم');
+          return;
+        }
+      } else if (!allowedNames.has(name)) {
+        rejectJoin('unknown-name', 'الاسم غير موجود في قائمة المستخدمين');
+        return;
       }
-      // Always remove from presenceWatchers when the socket disconnects
-      presenceWatchers.delete(socket);
+      if (name !== session.name) {
+        rejectJoin('session-mismatch', 'الاسم لا يطابق الجلسة');
+        socket.disconnect(true);
+        return;
+      }
+      const bannedUntil = !service && await store.getBan(roomId, name);
+      if (bannedUntil) {
+        const minutes = Math.ceil((bannedUntil - Date.now()) / 60000);
+        rejectJoin('banned', `تم حظرك من هذه الغرفة لمدة ${minutes} دقيقة`);
+        return;
+      }
+      // A suspended entry with this name is the same user coming back
+      // without its resume token (e.g. after reloading the page), and so
+      // is a live one joined under the same login whose socket the
+      // server has not yet noticed dropping: drop the stale entry (and
+      // close its socket) so the new socket can take its place.
+      // Returning members and configured moderators may enter a locked
+      // room.
+      let members = await store.listPeers(roomId);
+      const stale = members.filter((p) => p.name === name &&
+        (p.suspended || (session.sid && p.sessionId === session.sid)));
+      for (const peer of stale) {
+        await removePeer(peer.peerId);
+        if (!peer.suspended) io.in(peer.socketId).disconnectSockets(true);
+      }
+      if (!service && await store.isRoomLocked(roomId) && !stale.length && !moderatorNames.has(name)) {
+        rejectJoin('room-locked', 'الغرفة مقفلة');
+        return;
+      }
+      // Prevent two users in the same room from using the same name
+      // concurrently. The claim is atomic in the store, so two sockets
+      // racing for a name (possibly on different processes) cannot both
+      // win it.
+      if (!await store.claimName(roomId, name, peerId)) {
+        rejectJoin('name-taken', 'الاسم مستخدم بالفعل');
+        return;
+      }
+      if (joined) return;
+      joined = true;
+      // Configured moderators always get the role; otherwise it goes to
+      // the first peer of a room without a moderator. Service peers never
+      // moderate.
+      members = await store.listPeers(roomId);
+      const moderator = !service && (moderatorNames.has(name) || !members.some((p) => p.moderator));
+      // Save the peer data
+      await store.addPeer({
+        peerId,
+        socketId: socket.id,
+        name,
+        room: roomId,
+        muted: false,
+        moderator,
+        forceMuted: false,
+        suspended: false,
+        recorder,
+        forwarder,
+        localRecording: false,
+        sharing: false,
+        audioProfile: null,
+        stats: {},
+        resumeToken,
+        sessionId: session.sid || null,
+        joinedAt: Date.now(),
+        address: remoteAddress(socket)
+      });
+      await store.setResumeToken(resumeToken, peerId);
+      localPeers.add(peerId);
+      socket.join(roomId);
+
+      log = log.child({ name, room: roomId });
+      log.info('peer joined room');
+      joinsTotal.inc();
+      welcomeToJoin.observe((Date.now() - welcomedAt) / 1000);
+
+      // The room state goes first: whether the room is forwarded decides
+      // which peers of the list the client connects to
+      const state = await roomState(roomId);
+      socket.emit('room-state', state);
+      // Send the list of all current peers in the room to the new user
+      const list = await store.listPeers(roomId);
+      socket.emit('peer-list', list.map(listEntry));
+      // Replay recent chat messages so late joiners have some context
+      socket.emit('chat-history', await store.getChat(roomId));
+
+      // Let everyone else in the room know that a new peer has joined
+      socket.to(roomId).emit('peer-joined', { peerId, name, recorder, forwarder });
+      socket.to(roomId).emit('room-state', state);
+      if (state.forwarded && !service && !list.some((p) => p.forwarder)) ensureForwarder(roomId);
+
+      // Notify all presence subscribers of the updated rooms
+      await broadcastPresence();
+    });
+
+    // When a client toggles mute/unmute (or opens and closes push-to-talk),
+    // broadcast the new state to the other peers in its room. The client
+    // sends its muted status. We rely on closure variable peerId rather
+    // than trusting the payload. The state is remembered so late joiners
+    // receive it in `peer-list`. A peer muted by a moderator stays muted
+    // whatever its client reports.
+    on('mute', async ({ muted }) => {
+      if (!requireSession()) return;
+      const peer = await currentPeer();
+      if (!peer) return;
+      const updated = await store.updatePeer(peerId, { muted: muted || peer.forceMuted });
+      // Broadcast to the room except the sender
+      socket.to(peer.room).emit('mute', { peerId, muted: updated.muted });
+    });
+
+    // Voice activity detected in a participant's browser, relayed so the
+    // room can show who is speaking without analysing the audio. It is
+    // not stored: it changes too often to be worth giving late joiners.
+    on('speaking', async ({ speaking }) => {
+      if (!requireSession()) return;
+      const peer = await currentPeer();
+      if (!peer || isServicePeer(peer) || (speaking && peer.forceMuted)) return;
+      socket.to(peer.room).emit('speaking', { peerId, speaking });
+    });
+
+    // A participant started or stopped recording the conversation in
+    // their own browser. Nothing is recorded here; the room is only told
+    // so it can show who is recording, and late joiners get it in
+    // `peer-list`.
+    on('local-recording', async ({ recording }) => {
+      if (!requireSession()) return;
+      const peer = await currentPeer();
+      if (!peer || peer.localRecording === recording) return;
+      await store.updatePeer(peerId, { localRecording: recording });
+      log.info(recording ? 'local recording started' : 'local recording stopped');
+      socket.to(peer.room).emit('local-recording', { peerId, recording });
+    });
+
+    // The shared screen itself travels over the peer connections; the
+    // room is only told who is sharing
+    on('screen-share', async ({ sharing }) => {
+      if (!requireSession()) return;
+      const peer = await currentPeer();
+      if (!peer || peer.recorder || peer.sharing === sharing) return;
+      await store.updatePeer(peerId, { sharing });
+      log.info(sharing ? 'screen sharing started' : 'screen sharing stopped');
+      socket.to(peer.room).emit('screen-share', { peerId, sharing });
+    });
+
+    // The Opus profile a participant sends with, for display; the codec
+    // settings themselves are negotiated in the SDP
+    on('audio-profile', async ({ profile, auto }) => {
+      if (!requireSession()) return;
+      const peer = await currentPeer();
+      if (!peer || isServicePeer(peer)) return;
+      const current = peer.audioProfile;
+      if (current && current.profile === profile && current.auto === auto) return;
+      await store.updatePeer(peerId, { audioProfile: { profile, auto } });
+      log.debug('audio profile changed', { profile, auto });
+      socket.to(peer.room).emit('audio-profile', { peerId, profile, auto });
+    });
+
+    // Moderation commands. Each one is only accepted from a moderator of
+    // the sender's room and is logged. Every room has at least one
+    // moderator (see join and removePeer), and the current moderators,
+    // forced mutes and lock reach the room as `room-state`.
+    on('kick', async ({ targetPeerId }) => {
+      if (!requireSession()) return;
+      const peer = await requireModerator('kick');
+      const target = peer && await moderationTarget('kick', peer, targetPeerId);
+      if (!target) return;
+      log.info('moderation: kick', { target: target.name });
+      await expelPeer(target, 'kick', peer.name);
+    });
+
+    // Force a peer's microphone off (or release it). The target's client
+    // learns about it from `room-state` and closes its track; the room
+    // sees the peer as muted either way.
+    on('force-mute', async ({ targetPeerId, muted }) => {
+      if (!requireSession()) return;
+      const peer = await requireModerator('force-mute');
+      const target = peer && await moderationTarget('force-mute', peer, targetPeerId);
+      if (!target) return;
+      await store.updatePeer(target.peerId, muted ? { forceMuted: true, muted: true } : { forceMuted: false });
+      if (muted) {
+        io.to(peer.room).emit('mute', { peerId: target.peerId, muted: true });
+      }
+      log.info(muted ? 'moderation: force mute' : 'moderation: release mute', { target: target.name });
+      await broadcastRoomState(peer.room);
+    });
+
+    on('lock-room', async ({ locked }) => {
+      if (!requireSession()) return;
+      const peer = await requireModerator('lock-room');
+      if (!peer) return;
+      await store.setRoomLocked(peer.room, locked);
+      log.info(locked ? 'moderation: room locked' : 'moderation: room unlocked');
+      await broadcastRoomState(peer.room);
+      await broadcastPresence();
+    });
+
+    // Ban a peer's name from the room for a number of minutes and remove
+    // it. The ban outlives the room emptying.
+    on('ban', async ({ targetPeerId, minutes }) => {
+      if (!requireSession()) return;
+      const peer = await requireModerator('ban');
+      const target = peer && await moderationTarget('ban', peer, targetPeerId);
+      if (!target) return;
+      await store.setBan(peer.room, target.name, Date.now() + minutes * 60 * 1000);
+      log.info('moderation: ban', { target: target.name, minutes });
+      await expelPeer(target, 'ban', peer.name);
     });
 
-    // Attempt to rejoin automatically on reconnection
-    socket.on('reconnect', () => {
-      const clientInfo = clients.get(socket.id);
-      if (clientInfo) {
-        socket.emit('join', { name: clientInfo.name });
+    // Recording, with RECORDING enabled. A moderator starts the recorder
+    // peer for the room (see recorder.js), which joins through this same
+    // protocol flagged `recorder`; the running recording is part of
+    // `room-state` so every client shows an indicator. Any moderator can
+    // stop it.
+    on('start-recording', async () => {
+      if (!requireSession()) return;
+      const peer = await requireModerator('start-recording');
+      if (!peer) return;
+      if (!RECORDING_ENABLED) {
+        rejectEvent('start-recording', 'recording-disabled', 'التسجيل غير مفعّل على الخادم');
+        return;
+      }
+      if (await store.getRecording(peer.room)) {
+        rejectEvent('start-recording', 'already-recording', 'الغرفة قيد التسجيل بالفعل');
+        return;
+      }
+      const recording = { by: peer.name, startedAt: Date.now() };
+      await store.setRecording(peer.room, recording);
+      log.info('recording: start');
+      // Loaded on demand: the WebRTC stack is only needed for recording
+      const { startRecorder } = require('./recorder');
+      // A recorder that never joins must not leave the room showing a
+      // recording forever, so give up after RECORDER_START_TIMEOUT
+      const started = startRecorder(peer.room, peer.name);
+      let timer;
+      const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve('timeout'), RECORDER_START_TIMEOUT);
+      });
+      let outcome;
+      try {
+        outcome = await Promise.race([started.then(() => 'started'), timeout]);
+      } catch (err) {
+        log.error('failed to start recorder', { err });
+        outcome = 'failed';
+      } finally {
+        clearTimeout(timer);
+      }
+      if (outcome === 'started') return;
+      if (outcome === 'timeout') {
+        log.error('recorder did not join in time', { timeoutMs: RECORDER_START_TIMEOUT });
+        // Turning up late it is refused, the recording being cleared below
+        started.catch((err) => log.warn('late recorder not started', { err }));
+        rejectEvent('start-recording', 'recording-error', 'انتهت مهلة بدء التسجيل');
+      } else {
+        rejectEvent('start-recording', 'recorder-failed', 'تعذّر بدء التسجيل');
+      }
+      // Leave a recording started by someone else in the meantime alone
+      const current = await store.getRecording(peer.room);
+      if (current && current.startedAt === recording.startedAt && current.by === recording.by) {
+        await store.setRecording(peer.room, null);
+        await broadcastRoomState(peer.room);
       }
     });
+
+    on('stop-recording', async () => {
+      if (!requireSession()) return;
+      const peer = await requireModerator('stop-recording');
+      if (!peer) return;
+      if (!await store.getRecording(peer.room)) {
+        rejectEvent('stop-recording', 'not-recording', 'لا يوجد تسجيل جارٍ في الغرفة');
+        return;
+      }
+      log.info('recording: stop');
+      // The recorder leaves once told, writing out its files
+      const recorders = (await store.listPeers(peer.room)).filter((p) => p.recorder);
+      recorders.forEach((recorder) => io.to(recorder.socketId).emit('recorder-stop'));
+      // A recorder that has not joined yet is refused when it tries
+      if (!recorders.length) {
+        await store.setRecording(peer.room, null);
+        await broadcastRoomState(peer.room);
+      }
+    });
+
+    // Text chat: stamp the message with the sender and server time, keep
+    // it in the room's scrollback and deliver it to the whole room,
+    // including the sender, so everyone sees the same ordering.
+    on('chat-message', async ({ text }) => {
+      if (!requireSession()) return;
+      const peer = await currentPeer();
+      if (!peer) return;
+      const body = text.trim();
+      if (!body) return;
+      const message = {
+        peerId,
+        name: peer.name,
+        text: body,
+        time: Date.now()
+      };
+      await store.appendChat(peer.room, message, CHAT_HISTORY);
+      io.to(peer.room).emit('chat-message', message);
+    });
+
+    // Connection quality summaries reported by clients. Only numeric
+    // figures and a known route type are kept, with the time received.
+    on('stats-report', async ({ targetPeerId, summary }) => {
+      if (!STATS_REPORTING || !requireSession()) return;
+      const peer = await currentPeer();
+      if (!peer) return;
+      // Only keep reports about peers sharing the room
+      const target = await store.getPeer(targetPeerId);
+      if (!target || target.room !== peer.room) return;
+      const num = (v) => (typeof v === 'number' && Number.isFinite(v) ? Math.round(v * 10) / 10 : null);
+      const entry = {
+        rtt: num(summary.rtt),
+        jitter: num(summary.jitter),
+        packetLoss: num(summary.packetLoss),
+        bitrate: num(summary.bitrate),
+        route: ['host', 'srflx', 'relay'].includes(summary.route) ? summary.route : null,
+        receivedAt: Date.now()
+      };
+      await store.updatePeer(peerId, { stats: { ...peer.stats, [targetPeerId]: entry } });
+      // Every peer reports on every other one each interval, far too
+      // many lines for the info level
+      log.debug('stats report', {
+        target: targetPeerId,
+        rtt: entry.rtt,
+        jitter: entry.jitter,
+        packetLoss: entry.packetLoss,
+        bitrate: entry.bitrate,
+        route: entry.route
+      });
+    });
+
+    // Relay signalling data between peers of the same room. The schema
+    // only admits descriptions, candidates and reset requests. The
+    // target may be connected to another process; the adapter routes
+    // the emit to its socket.
+    on('signal', async ({ targetPeerId, data }) => {
+      if (!requireSession()) return;
+      const [peer, target] = await Promise.all([currentPeer(), store.getPeer(targetPeerId)]);
+      if (!peer) {
+        rejectEvent('signal', 'not-joined', 'لم تنضم إلى غرفة بعد');
+        return;
+      }
+      if (!target || target.room !== peer.room) {
+        rejectEvent('signal', 'unknown-peer', 'المشارك غير موجود في الغرفة');
+        return;
+      }
+      const type = data.type || 'candidate';
+      // Candidates arrive in bursts for every connection; keep them out
+      // of the default log level
+      log[type === 'candidate' ? 'debug' : 'info']('relay signal', { target: targetPeerId, type });
+      signalsTotal.inc({ type });
+      io.to(target.socketId).emit('signal', {
+        from: peerId,
+        data
+      });
+    });
+
+    // Clean up when a user disconnects. A client that leaves on purpose
+    // is removed straight away; one that merely lost its connection is
+    // suspended so it can resume. Presence watchers leave their room
+    // automatically.
+    socket.on('disconnect', (reason) => {
+      disconnectsTotal.inc({ reason });
+      log.debug('socket disconnected', { reason });
+      localPeers.delete(peerId);
+      currentPeer()
+        .then((peer) => {
+          // The peer may already have been taken over by a resumed socket
+          if (!peer || peer.socketId !== socket.id) return null;
+          const deliberate = reason === 'client namespace disconnect' ||
+            reason === 'server namespace disconnect';
+          // Service peers never resume; the recorder finishes its files
+          // and a new forwarder is started when needed
+          return deliberate || RESUME_GRACE <= 0 || isServicePeer(peer) ? removePeer(peerId) : suspendPeer(peer);
+        })
+        .catch((err) => log.error('failed to clean up after disconnect', { err }));
+    });
   });
+
+  // Live view of every joined peer and lobby watcher for the admin API.
+  // `relay` tells whether any connection the peer reported on goes
+  // through TURN (null without STATS_REPORTING or before a report).
+  async function adminSnapshot() {
+    const peers = (await store.listPeers()).map((p) => {
+      const routes = Object.values(p.stats).map((entry) => entry.route).filter(Boolean);
+      return {
+        socketId: p.socketId,
+        peerId: p.peerId,
+        name: p.name,
+        room: p.room,
+        muted: p.muted,
+        moderator: p.moderator,
+        forceMuted: p.forceMuted,
+        suspended: p.suspended,
+        recorder: p.recorder,
+        forwarder: p.forwarder,
+        localRecording: p.localRecording,
+        sharing: p.sharing,
+        audioProfile: p.audioProfile,
+        joinedAt: p.joinedAt,
+        address: p.address,
+        relay: routes.length ? routes.includes('relay') : null
+      };
+    });
+    const watchers = (await io.in(PRESENCE_ROOM).fetchSockets()).map((watcher) => ({
+      socketId: watcher.id,
+      connectedAt: watcher.handshake.issued,
+      address: remoteAddress(watcher)
+    }));
+    return { peers, watchers, rooms: await presenceSnapshot() };
+  }
+
+  // Disconnect a socket (or drop a suspended peer) on an operator's
+  // behalf. Resolves to false when the id is unknown.
+  async function adminDisconnect(socketId) {
+    const peer = (await store.listPeers()).find((p) => p.socketId === socketId);
+    if (peer) {
+      peerLogger(peer).info('admin: disconnected peer', { socketId });
+      await expelPeer(peer, 'admin', 'الإدارة');
+      return true;
+    }
+    if (!(await io.in(socketId).fetchSockets()).length) return false;
+    logger.info('admin: disconnected socket', { socketId });
+    io.in(socketId).disconnectSockets(true);
+    return true;
+  }
+
+  // Send a notice to every connected socket, or only to one room
+  function broadcastNotice(text, room) {
+    const notice = { text, time: Date.now() };
+    if (room) {
+      io.to(room).emit('notice', notice);
+    } else {
+      io.emit('notice', notice);
+    }
+    logger.info('admin: notice', { room: room || 'everyone', text });
+  }
+
+  return { adminSnapshot, adminDisconnect, broadcastNotice };
 }
 
-module.exports = registerSockets;
\ No newline at end of file
+module.exports = registerSockets;
@@ -0,0 +1,188 @@
+/*
+ * Shared signalling state.
+ *
+ * sockets.js keeps everything it needs to know about peers and rooms in
+ * a store rather than in its own closures, so several server processes
+ * can share the same view of who is where. Every method is async and
+ * returns plain data:
+ *
+ *   addPeer(peer)                   register a joined peer
+ *   getPeer(peerId)                 peer or null
+ *   updatePeer(peerId, fields)      merge fields, returns the peer or null
+ *   removePeer(peerId)              forget a peer (and its name and resume
+ *                                   token), returns it or null
+ *   listPeers(room?)                peers of one room, or all, by join time
+ *   claimName(room, name, peerId)   reserve a name in a room; false when
+ *                                   another peer holds it
+ *   setResumeToken(token, peerId)
+ *   takeResumeToken(token)          peerId or null; the token is consumed
+ *   setRoomLocked(room, locked)
+ *   isRoomLocked(room)
+ *   setMeshFallback(room, fallback) whether a forwarded room runs as a
+ *                                   full mesh because its forwarder
+ *                                   could not be started
+ *   isMeshFallback(room)
+ *   setBan(room, name, until)       ban a name until a time (ms)
+ *   getBan(room, name)              ban expiry or null
+ *   setRecording(room, recording)   { by, startedAt } while a recording
+ *                                   runs, null to clear it
+ *   getRecording(room)              the running recording or null
+ *   appendChat(room, message, limit)
+ *   getChat(room)                   recent messages, oldest first
+ *   clearRoom(room)                 drop a room's chat, lock, recording
+ *                                   and mesh fallback
+ *
+ * A peer is { peerId, socketId, name, room, muted, moderator,
+ * forceMuted, suspended, recorder, forwarder, localRecording, sharing,
+ * audioProfile, stats, resumeToken, sessionId, joinedAt, address }.
+ *
+ * createMemoryStore() serves a single process. redisStore.js provides
+ * the same interface on top of Redis for running several processes.
+ */
+
+function createMemoryStore() {
+  // Map peerId -> peer
+  const peers = new Map();
+  // Map `${room}\n${name}` -> peerId
+  const names = new Map();
+  // Map resume token -> peerId
+  const resumeTokens = new Map();
+  const lockedRooms = new Set();
+  // Forwarded rooms running as a full mesh
+  const meshRooms = new Set();
+  // Map `${room}\n${name}` -> time (ms) until which the name is banned
+  const bans = new Map();
+  // Map room -> running recording
+  const recordings = new Map();
+  // Map room -> recent chat messages
+  const chat = new Map();
+
+  const nameKey = (room, name) => `${room}\n${name}`;
+  // Hand out copies so callers cannot change the store behind its back,
+  // matching what a networked store would do
+  const copy = (peer) => (peer ? JSON.parse(JSON.stringify(peer)) : null);
+
+  return {
+    async addPeer(peer) {
+      peers.set(peer.peerId, copy(peer));
+    },
+
+    async getPeer(peerId) {
+      return copy(peers.get(peerId));
+    },
+
+    async updatePeer(peerId, fields) {
+      const peer = peers.get(peerId);
+      if (!peer) return null;
+      Object.assign(peer, copy(fields));
+      return copy(peer);
+    },
+
+    async removePeer(peerId) {
+      const peer = peers.get(peerId);
+      if (!peer) return null;
+      peers.delete(peerId);
+      if (names.get(nameKey(peer.room, peer.name)) === peerId) {
+        names.delete(nameKey(peer.room, peer.name));
+      }
+      if (peer.resumeToken) resumeTokens.delete(peer.resumeToken);
+      return copy(peer);
+    },
+
+    async listPeers(room) {
+      return Array.from(peers.values())
+        .filter((peer) => room === undefined || peer.room === room)
+        .sort((a, b) => a.joinedAt - b.joinedAt)
+        .map(copy);
+    },
+
+    async claimName(room, name, peerId) {
+      const key = nameKey(room, name);
+      const holder = names.get(key);
+      if (holder && holder !== peerId) return false;
+      names.set(key, peerId);
+      return true;
+    },
+
+    async setResumeToken(token, peerId) {
+      resumeTokens.set(token, peerId);
+    },
+
+    async takeResumeToken(token) {
+      const peerId = resumeTokens.get(token) || null;
+      resumeTokens.delete(token);
+      return peerId;
+    },
+
+    async setRoomLocked(room, locked) {
+      if (locked) {
+        lockedRooms.add(room);
+      } else {
+        lockedRooms.delete(room);
+      }
+    },
+
+    async isRoomLocked(room) {
+      return lockedRooms.has(room);
+    },
+
+    async setMeshFallback(room, fallback) {
+      if (fallback) {
+        meshRooms.add(room);
+      } else {
+        meshRooms.delete(room);
+      }
+    },
+
+    async isMeshFallback(room) {
+      return meshRooms.has(room);
+    },
+
+    async setBan(room, name, until) {
+      bans.set(nameKey(room, name), until);
+    },
+
+    async getBan(room, name) {
+      const key = nameKey(room, name);
+      const until = bans.get(key);
+      if (!until) return null;
+      if (until > Date.now()) return until;
+      bans.delete(key);
+      return null;
+    },
+
+    async setRecording(room, recording) {
+      if (recording) {
+        recordings.set(room, copy(recording));
+      } else {
+        recordings.delete(room);
+      }
+    },
+
+    async getRecording(room) {
+      return copy(recordings.get(room));
+    },
+
+    async appendChat(room, message, limit) {
+      const history = chat.get(room) || [];
+      history.push(message);
+      if (history.length > limit) history.splice(0, history.length - limit);
+      chat.set(room, history);
+    },
+
+    async getChat(room) {
+      return (chat.get(room) || []).slice();
+    },
+
+    async clearRoom(room) {
+      chat.delete(room);
+      lockedRooms.delete(room);
+      meshRooms.delete(room);
+      recordings.delete(room);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const {
+  TURN_URL,
+  TURN_SECRET,
+  TURN_TTL,
+  ICE_SERVERS,
+  ICE_POLICY
+} = require('./config');
+
+/*
+ * Ephemeral TURN credentials.
+ *
+ * Implements the shared-secret scheme understood by coturn's
+ * `use-auth-secret` option (the "TURN REST API"). The username is the
+ * expiry time as a Unix timestamp followed by a label, and the password
+ * is the base64 HMAC-SHA1 of that username keyed with the secret that
+ * coturn also knows. Credentials therefore expire on their own and the
+ * long-lived secret never leaves the server.
+ */
+
+// Mint a username/credential pair valid for ttlSeconds
+function createTurnCredentials(label, secret = TURN_SECRET, ttlSeconds = TURN_TTL) {
+  const expiry = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const username = `${expiry}:${label}`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+  return { username, credential, expiresAt: expiry * 1000 };
+}
+
+// Build the ICE configuration for one client. Only authenticated
+// clients receive TURN credentials; everyone gets the static servers.
+// expiresAt is null when nothing in the list expires.
+function getIceConfig(label, authenticated) {
+  const iceServers = ICE_SERVERS.slice();
+  let expiresAt = null;
+  if (TURN_URL && TURN_SECRET && authenticated) {
+    const { username, credential, expiresAt: expiry } = createTurnCredentials(label);
+    iceServers.push({ urls: TURN_URL, username, credential });
+    expiresAt = expiry;
+  }
+  return { iceServers, icePolicy: ICE_POLICY, expiresAt };
+}
+
+module.exports = {
+  createTurnCredentials,
+  getIceConfig
+};
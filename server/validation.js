@@ -0,0 +1,203 @@
+/*
+ * Payload validation for Socket.IO events.
+ *
+ * Each event handled by sockets.js has a schema describing the payload
+ * it accepts. Schemas are plain objects understood by validate():
+ *
+ *   { type: 'object', properties: { ... } }   nested schemas per key
+ *   { type: 'string', minLength, maxLength, enum }
+ *   { type: 'number', min, max }
+ *   { type: 'boolean' }
+ *   { type: 'none' }                          no payload at all
+ *   { oneOf: [schemaA, schemaB] }             first match wins
+ *
+ * Any schema may set `optional: true` (undefined allowed) or
+ * `nullable: true` (null allowed). Unknown object keys are ignored by
+ * the handlers, so they are not rejected here.
+ */
+
+// Largest SDP we expect; real audio/video offers are a few kilobytes
+const MAX_SDP_LENGTH = 32 * 1024;
+
+// Longest chat message accepted, in characters; the chat input in
+// room.html has the same limit
+const CHAT_MAX_LENGTH = 1000;
+
+const SCHEMAS = {
+  'subscribe-presence': { type: 'none' },
+  'unsubscribe-presence': { type: 'none' },
+  'refresh-ice': { type: 'none' },
+  join: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 64 },
+      room: { type: 'string', maxLength: 64, optional: true }
+    }
+  },
+  mute: {
+    type: 'object',
+    properties: {
+      muted: { type: 'boolean' }
+    }
+  },
+  speaking: {
+    type: 'object',
+    properties: {
+      speaking: { type: 'boolean' }
+    }
+  },
+  signal: {
+    type: 'object',
+    properties: {
+      targetPeerId: { type: 'string', minLength: 1, maxLength: 64 },
+      data: {
+        oneOf: [
+          {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: ['offer', 'answer'] },
+              sdp: { type: 'string', maxLength: MAX_SDP_LENGTH }
+            }
+          },
+          {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: ['reset'] }
+            }
+          },
+          {
+            type: 'object',
+            properties: {
+              candidate: {
+                type: 'object',
+                properties: {
+                  candidate: { type: 'string', maxLength: 1024 },
+                  sdpMid: { type: 'string', maxLength: 64, optional: true, nullable: true },
+                  sdpMLineIndex: { type: 'number', min: 0, max: 255, optional: true, nullable: true },
+                  usernameFragment: { type: 'string', maxLength: 256, optional: true, nullable: true }
+                }
+              }
+            }
+          }
+        ]
+      }
+    }
+  },
+  'chat-message': {
+    type: 'object',
+    properties: {
+      text: { type: 'string', minLength: 1, maxLength: CHAT_MAX_LENGTH }
+    }
+  },
+  kick: {
+    type: 'object',
+    properties: {
+      targetPeerId: { type: 'string', minLength: 1, maxLength: 64 }
+    }
+  },
+  'force-mute': {
+    type: 'object',
+    properties: {
+      targetPeerId: { type: 'string', minLength: 1, maxLength: 64 },
+      muted: { type: 'boolean' }
+    }
+  },
+  'lock-room': {
+    type: 'object',
+    properties: {
+      locked: { type: 'boolean' }
+    }
+  },
+  ban: {
+    type: 'object',
+    properties: {
+      targetPeerId: { type: 'string', minLength: 1, maxLength: 64 },
+      minutes: { type: 'number', min: 1, max: 24 * 60 }
+    }
+  },
+  'local-recording': {
+    type: 'object',
+    properties: {
+      recording: { type: 'boolean' }
+    }
+  },
+  'screen-share': {
+    type: 'object',
+    properties: {
+      sharing: { type: 'boolean' }
+    }
+  },
+  'audio-profile': {
+    type: 'object',
+    properties: {
+      profile: { type: 'string', enum: ['low', 'standard', 'music'] },
+      auto: { type: 'boolean' }
+    }
+  },
+  'start-recording': { type: 'none' },
+  'stop-recording': { type: 'none' },
+  'stats-report': {
+    type: 'object',
+    properties: {
+      targetPeerId: { type: 'string', minLength: 1, maxLength: 64 },
+      summary: { type: 'object', properties: {} }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Validate a value against a schema. Returns null when it matches or a
+// short description of the first problem found.
+function validate(schema, value, path = 'payload') {
+  if (value === undefined && schema.optional) return null;
+  if (value === null && schema.nullable) return null;
+  if (schema.oneOf) {
+    const errors = schema.oneOf.map((option) => validate(option, value, path));
+    return errors.includes(null) ? null : errors[errors.length - 1];
+  }
+  const actual = typeOf(value);
+  switch (schema.type) {
+    case 'none':
+      return value === undefined ? null : `${path} must be empty`;
+    case 'object': {
+      if (actual !== 'object') return `${path} must be an object`;
+      for (const [key, child] of Object.entries(schema.properties || {})) {
+        const error = validate(child, value[key], `${path}.${key}`);
+        if (error) return error;
+      }
+      return null;
+    }
+    case 'string':
+      if (actual !== 'string') return `${path} must be a string`;
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return `${path} is too short`;
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return `${path} is too long`;
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        return `${path} must be one of ${schema.enum.join(', ')}`;
+      }
+      return null;
+    case 'number':
+      if (actual !== 'number' || !Number.isFinite(value)) return `${path} must be a number`;
+      if (schema.min !== undefined && value < schema.min) return `${path} is too small`;
+      if (schema.max !== undefined && value > schema.max) return `${path} is too large`;
+      return null;
+    case 'boolean':
+      return actual === 'boolean' ? null : `${path} must be a boolean`;
+    default:
+      return `${path} has no schema`;
+  }
+}
+
+module.exports = {
+  CHAT_MAX_LENGTH,
+  SCHEMAS,
+  validate
+};
@@ -0,0 +1,99 @@
+/*
+ * Tests for the secret hashes and session tokens in server/auth.js.
+ * Run with `npm test`.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const {
+  hashSecret,
+  isSecretHash,
+  verifySecret,
+  createSessionToken,
+  verifySessionToken
+} = require('../server/auth');
+
+const KEY = 'test-key';
+
+describe('auth', () => {
+  describe('secrets', () => {
+    it('verifies a secret against its hash', async () => {
+      const stored = await hashSecret('1234');
+      assert.equal(isSecretHash(stored), true);
+      assert.equal(await verifySecret('1234', stored), true);
+      assert.notEqual(await hashSecret('1234'), stored, 'every hash has its own salt');
+    });
+
+    it('rejects a wrong secret', async () => {
+      const stored = await hashSecret('1234');
+      assert.equal(await verifySecret('4321', stored), false);
+      assert.equal(await verifySecret('', stored), false);
+      assert.equal(await verifySecret(1234, stored), false);
+      assert.equal(await verifySecret(undefined, stored), false);
+    });
+
+    it('rejects malformed hashes', async () => {
+      for (const stored of ['scrypt:', 'scrypt:c2FsdA==', 'scrypt::aGFzaA==', 'scrypt:c2FsdA==:aGFzaA==:x',
+        'bcrypt:c2FsdA==:aGFzaA==', 'scrypt:c2FsdA==:aGFz aA==', '1234', null]) {
+        assert.equal(isSecretHash(stored), false, String(stored));
+        assert.equal(await verifySecret('1234', stored), false, String(stored));
+      }
+    });
+  });
+
+  describe('session tokens', () => {
+    it('round-trips the name and expiry', () => {
+      const before = Date.now();
+      const { token, expiresAt } = createSessionToken('Ali', KEY, 60);
+      const session = verifySessionToken(token, KEY);
+      assert.equal(session.name, 'Ali');
+      assert.equal(session.exp * 1000, expiresAt);
+      assert.ok(expiresAt > before + 59000 && expiresAt <= before + 60000);
+    });
+
+    it('carries extra claims without letting them replace the name or expiry', () => {
+      const { token } = createSessionToken('Ali', KEY, 60, { sid: 'abc', recorder: true, forwarder: false, name: 'Sara', exp: 1 });
+      const session = verifySessionToken(token, KEY);
+      assert.equal(session.sid, 'abc');
+      assert.equal(session.recorder, true);
+      assert.equal(session.forwarder, false);
+      assert.equal(session.name, 'Ali');
+      assert.ok(session.exp * 1000 > Date.now());
+    });
+
+    it('rejects an expired token', () => {
+      assert.equal(verifySessionToken(createSessionToken('Ali', KEY, 0).token, KEY), null);
+      assert.equal(verifySessionToken(createSessionToken('Ali', KEY, -60).token, KEY), null);
+    });
+
+    it('rejects a token signed with another key', () => {
+      const { token } = createSessionToken('Ali', 'other-key', 60);
+      assert.equal(verifySessionToken(token, KEY), null);
+    });
+
+    it('rejects a tampered payload or signature', () => {
+      const { token } = createSessionToken('Ali', KEY, 60);
+      const [payload, signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ name: 'Sara', exp: Math.floor(Date.now() / 1000) + 60 })).toString('base64url');
+      assert.equal(verifySessionToken(`${forged}.${signature}`, KEY), null);
+      const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+      assert.equal(verifySessionToken(`${payload}.${flipped}`, KEY), null);
+      assert.equal(verifySessionToken(`${payload}.${signature.slice(1)}`, KEY), null);
+      assert.equal(verifySessionToken(payload, KEY), null);
+    });
+
+    it('rejects signed payloads that are not sessions', () => {
+      const signed = (body) => {
+        const payload = Buffer.from(body).toString('base64url');
+        return `${payload}.${crypto.createHmac('sha256', KEY).update(payload).digest('base64url')}`;
+      };
+      assert.equal(verifySessionToken(signed('not json'), KEY), null);
+      assert.equal(verifySessionToken(signed('null'), KEY), null);
+      assert.equal(verifySessionToken(signed(JSON.stringify({ name: 'Ali' })), KEY), null);
+      assert.equal(verifySessionToken(signed(JSON.stringify({ name: 7, exp: 9999999999 })), KEY), null);
+      assert.equal(verifySessionToken(undefined, KEY), null);
+    });
+  });
+});
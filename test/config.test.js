@@ -0,0 +1,52 @@
+/*
+ * Tests for the checks config.js makes on the environment at startup.
+ * Each case loads the module in a child process with its own
+ * environment. Run with `npm test`.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Load config.js with `env` added to the environment. Returns the exit
+// status and what was written to stderr.
+function loadConfig(env) {
+  const { status, stderr } = spawnSync(process.execPath, ['-e', 'require("./server/config")'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, ...env },
+    encoding: 'utf8',
+    timeout: 10000
+  });
+  return { status, stderr };
+}
+
+// Numeric settings with a valid value and the values refused for each
+const NUMBERS = {
+  SESSION_TTL: { valid: '3600', refused: ['abc', '', '0', '-5', 'Infinity'] },
+  TURN_TTL: { valid: '600', refused: ['1h', '0', '-60'] },
+  CHAT_HISTORY: { valid: '100', refused: ['many', '0', '-1', '2.5'] },
+  // 0 disables resumption
+  RESUME_GRACE: { valid: '0', refused: ['30s', '', '-1'] },
+  MAX_PAYLOAD: { valid: '1024', refused: ['64k', '0', '1e400', '100.5'] }
+};
+
+describe('config', () => {
+  it('starts with the defaults', () => {
+    assert.equal(loadConfig({}).status, 0);
+  });
+
+  for (const [name, { valid, refused }] of Object.entries(NUMBERS)) {
+    it(`accepts ${name}="${valid}"`, () => {
+      assert.equal(loadConfig({ [name]: valid }).status, 0);
+    });
+
+    it(`refuses invalid ${name} values`, () => {
+      for (const value of refused) {
+        const { status, stderr } = loadConfig({ [name]: value });
+        assert.notEqual(status, 0, `${name}="${value}"`);
+        assert.match(stderr, new RegExp(`${name} must be a`));
+      }
+    });
+  }
+});
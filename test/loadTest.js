@@ -1,30 +1,22 @@
 /*
  * Simple load test using Puppeteer.
  *
- * This script spawns a headless browser session for each predefined
- * username and has them join the room concurrently. It can be used
+ * This script spawns a headless browser session for each username in
+ * the server's user directory and has them join the room concurrently. It can be used
  * to measure signalling performance and identify concurrency issues.
  * Ensure that the server is running locally before invoking this
  * script. Adjust the TEST_URL environment variable to point to a
- * remote instance if necessary.
+ * remote instance if necessary. Every test user must be able to log in
+ * with the secret given in TEST_SECRET.
  */
 
 const puppeteer = require('puppeteer');
 
-const names = [
-  'Andromeda',
-  'Aurora',
-  'Cosmos',
-  'Luna',
-  'Nebula',
-  'Nova',
-  'Orion',
-  'Pulsar',
-  'Zenith'
-];
-
 async function runLoadTest() {
   const url = process.env.TEST_URL || `http://localhost:${process.env.PORT || 3000}`;
+  // Fetch the allowed names from the server so the test stays in sync
+  // with the user directory
+  const { users: names } = await fetch(`${url}/api/users`).then((res) => res.json());
   const browser = await puppeteer.launch({ headless: true });
   const pages = [];
   try {
@@ -40,6 +32,10 @@ async function runLoadTest() {
         const target = items.find((li) => li.textContent.trim() === n);
         if (target) target.click();
       }, name);
+      // Complete the login step
+      await page.waitForSelector('#login-form:not([hidden])');
+      await page.type('#secret-input', process.env.TEST_SECRET || '');
+      await page.click('#login-form button[type="submit"]');
       // Wait for room to load
       await page.waitForSelector('#peer-list');
       console.log(`Spawned client for ${name}`);
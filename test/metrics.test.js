@@ -0,0 +1,78 @@
+/*
+ * Tests for the Prometheus text rendering in server/metrics.js. The
+ * registry is shared by the whole process, so the metrics are registered
+ * once and checked in order. Run with `npm test`.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const metrics = require('../server/metrics');
+
+// HELP text of the metrics registered below
+const help = {
+  test_joins_total: 'Joins by outcome',
+  test_peers: 'Connected peers',
+  test_latency_seconds: 'Time to answer'
+};
+
+// The lines rendered for the metric called `name`, HELP and TYPE first
+function section(name) {
+  const lines = metrics.render().split('\n');
+  const start = lines.indexOf(`# HELP ${name} ${help[name]}`);
+  assert.notEqual(start, -1, `no HELP line for ${name}`);
+  const end = lines.findIndex((line, i) => i > start && line.startsWith('# HELP '));
+  return lines.slice(start, end === -1 ? lines.length - 1 : end);
+}
+
+describe('metrics', () => {
+  const joins = metrics.counter('test_joins_total', help.test_joins_total);
+  let peers = 3;
+  metrics.gauge('test_peers', help.test_peers, () => peers);
+  const latency = metrics.histogram('test_latency_seconds', help.test_latency_seconds, [1, 0.1, 0.5]);
+
+  it('renders HELP and TYPE lines for every metric, ending with a newline', () => {
+    const text = metrics.render();
+    assert.ok(text.endsWith('\n'));
+    assert.deepEqual(section('test_joins_total').slice(0, 2), ['# HELP test_joins_total Joins by outcome', '# TYPE test_joins_total counter']);
+    assert.deepEqual(section('test_peers').slice(0, 2), ['# HELP test_peers Connected peers', '# TYPE test_peers gauge']);
+    assert.equal(section('test_latency_seconds')[1], '# TYPE test_latency_seconds histogram');
+  });
+
+  it('reports a counter as 0 before it is incremented, then one series per label set', () => {
+    assert.deepEqual(section('test_joins_total').slice(2), ['test_joins_total 0']);
+    joins.inc({ outcome: 'ok' });
+    joins.inc({ outcome: 'ok' }, 2);
+    joins.inc({ outcome: 'say "no"\n' });
+    assert.deepEqual(section('test_joins_total').slice(2), [
+      'test_joins_total{outcome="ok"} 3',
+      'test_joins_total{outcome="say \\"no\\"\\n"} 1'
+    ]);
+  });
+
+  it('reads gauges at scrape time', () => {
+    assert.deepEqual(section('test_peers').slice(2), ['test_peers 3']);
+    peers = 5;
+    assert.deepEqual(section('test_peers').slice(2), ['test_peers 5']);
+  });
+
+  it('renders cumulative histogram buckets in ascending order with +Inf, sum and count', () => {
+    assert.deepEqual(section('test_latency_seconds').slice(2), [
+      'test_latency_seconds_bucket{le="0.1"} 0',
+      'test_latency_seconds_bucket{le="0.5"} 0',
+      'test_latency_seconds_bucket{le="1"} 0',
+      'test_latency_seconds_bucket{le="+Inf"} 0',
+      'test_latency_seconds_sum 0',
+      'test_latency_seconds_count 0'
+    ]);
+    [0.05, 0.1, 0.3, 0.75, 2].forEach((value) => latency.observe(value));
+    assert.deepEqual(section('test_latency_seconds').slice(2), [
+      'test_latency_seconds_bucket{le="0.1"} 2',
+      'test_latency_seconds_bucket{le="0.5"} 3',
+      'test_latency_seconds_bucket{le="1"} 4',
+      'test_latency_seconds_bucket{le="+Inf"} 5',
+      'test_latency_seconds_sum 3.2',
+      'test_latency_seconds_count 5'
+    ]);
+  });
+});
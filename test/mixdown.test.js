@@ -0,0 +1,79 @@
+/*
+ * Tests for the offline mixdown in server/mixdown.js, on tones encoded
+ * with the same Opus build the server uses. Files are written to a
+ * temporary directory. Run with `npm test`.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OpusScript = require('opusscript');
+
+const { SAMPLE_RATE, createOggOpusWriter, readOggOpusPackets } = require('../server/ogg');
+const { mixdown } = require('../server/mixdown');
+
+const FRAME_SAMPLES = 960;
+
+// Write `ms` of a sine tone at `frequency` Hz to an Ogg/Opus file
+async function writeTone(file, frequency, ms) {
+  const encoder = new OpusScript(SAMPLE_RATE, 1, OpusScript.Application.AUDIO);
+  const writer = createOggOpusWriter(file);
+  const frames = ms / 20;
+  for (let frame = 0; frame < frames; frame += 1) {
+    const pcm = Buffer.alloc(FRAME_SAMPLES * 2);
+    for (let i = 0; i < FRAME_SAMPLES; i += 1) {
+      const t = (frame * FRAME_SAMPLES + i) / SAMPLE_RATE;
+      pcm.writeInt16LE(Math.round(8000 * Math.sin(2 * Math.PI * frequency * t)), i * 2);
+    }
+    writer.write(Buffer.from(encoder.encode(pcm, FRAME_SAMPLES)));
+  }
+  encoder.delete();
+  await writer.close();
+}
+
+// RMS level of every 20 ms frame of an Ogg/Opus file
+function frameLevels(file) {
+  const decoder = new OpusScript(SAMPLE_RATE, 1, OpusScript.Application.AUDIO);
+  const levels = readOggOpusPackets(file).map((packet) => {
+    const out = decoder.decode(packet);
+    const pcm = new Int16Array(out.buffer.slice(out.byteOffset, out.byteOffset + out.length));
+    return Math.sqrt(pcm.reduce((sum, sample) => sum + sample * sample, 0) / pcm.length);
+  });
+  decoder.delete();
+  return levels;
+}
+
+describe('mixdown', () => {
+  it('places each track at its offset and finds who spoke when', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-mixdown-'));
+    try {
+      const tracks = [
+        { peerId: 'ali', name: 'Ali', path: path.join(dir, 'ali.ogg'), start: 0 },
+        { peerId: 'sara', name: 'Sara', path: path.join(dir, 'sara.ogg'), start: 1000 }
+      ];
+      await writeTone(tracks[0].path, 440, 500);
+      await writeTone(tracks[1].path, 660, 500);
+      const output = path.join(dir, 'mixed.ogg');
+      const speech = await mixdown(tracks, output);
+
+      assert.deepEqual(speech.map(({ peerId }) => peerId), ['ali', 'sara']);
+      const [ali, sara] = speech;
+      // The encoder delay shifts a tone by a few milliseconds at most
+      assert.ok(Math.abs(ali.start - 0) <= 20 && Math.abs(ali.end - 500) <= 20, JSON.stringify(ali));
+      assert.ok(Math.abs(sara.start - 1000) <= 20 && Math.abs(sara.end - 1500) <= 20, JSON.stringify(sara));
+
+      // 1.5 s of mix, loud where either track plays and quiet between
+      const levels = frameLevels(output);
+      assert.ok(Math.abs(levels.length - 75) <= 1, `${levels.length} frames`);
+      const loud = (from, to) => levels.slice(from / 20, to / 20).every((level) => level > 1000);
+      const quiet = (from, to) => levels.slice(from / 20, to / 20).every((level) => level < 100);
+      assert.ok(loud(100, 400), 'first track in the mix');
+      assert.ok(quiet(600, 900), 'silence between the tracks');
+      assert.ok(loud(1100, 1400), 'second track in the mix');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,127 @@
+/*
+ * Tests for the Ogg/Opus files in server/ogg.js: the page checksum,
+ * lacing of long packets and Opus packet durations. Files are written
+ * to a temporary directory. Run with `npm test`.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { crc32, opusPacketSamples, createOggOpusWriter, readOggOpusPackets } = require('../server/ogg');
+
+// Split a file into its pages, with the lacing values of each
+function readPages(file) {
+  const data = fs.readFileSync(file);
+  const pages = [];
+  let offset = 0;
+  while (offset < data.length) {
+    const count = data[offset + 26];
+    const lacing = Array.from(data.subarray(offset + 27, offset + 27 + count));
+    const end = offset + 27 + count + lacing.reduce((sum, size) => sum + size, 0);
+    pages.push({ data: data.subarray(offset, end), lacing });
+    offset = end;
+  }
+  return pages;
+}
+
+// Write `packets` to a new file and return its path
+async function writeFile(dir, packets) {
+  const file = path.join(dir, 'test.ogg');
+  const writer = createOggOpusWriter(file);
+  packets.forEach((packet) => writer.write(packet));
+  await writer.close();
+  return file;
+}
+
+// An Opus packet of `size` bytes: a CELT TOC byte (20 ms frame unless
+// given) and padding
+function packet(size, fill = 0, toc = 0xf8) {
+  const buffer = Buffer.alloc(size, fill);
+  buffer[0] = toc;
+  return buffer;
+}
+
+describe('ogg', () => {
+  let dir;
+  const withDir = (test) => async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-ogg-'));
+    try {
+      await test();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+
+  it('computes the Ogg checksum', () => {
+    // Check value of CRC-32 with polynomial 0x04c11db7, no reflection,
+    // zero initial value and no final XOR
+    assert.equal(crc32(Buffer.from('123456789')), 0x89a1897f);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+  });
+
+  it('stores the checksum of every page over the page with a zeroed checksum field', withDir(async () => {
+    const file = await writeFile(dir, [packet(3), packet(300, 1)]);
+    const pages = readPages(file);
+    assert.equal(pages.length, 3);
+    for (const { data } of pages) {
+      const copy = Buffer.from(data);
+      copy.writeUInt32LE(0, 22);
+      assert.equal(data.readUInt32LE(22), crc32(copy));
+    }
+  }));
+
+  it('laces packets that are multiples of 255 bytes with a closing zero', withDir(async () => {
+    const packets = [packet(255, 1), packet(510, 2), packet(254, 3), packet(1, 4)];
+    const file = await writeFile(dir, packets);
+    const [, , audio] = readPages(file);
+    assert.deepEqual(audio.lacing, [255, 0, 255, 255, 0, 254, 1]);
+    assert.deepEqual(readOggOpusPackets(file), packets);
+  }));
+
+  it('starts a new page before 255 lacing values', withDir(async () => {
+    // Two lacing values each, so the 128th packet needs a second page;
+    // 2.5 ms frames keep the first page well under a second
+    const packets = Array.from({ length: 130 }, (_, i) => packet(300, i, 0x80));
+    const file = await writeFile(dir, packets);
+    const pages = readPages(file).slice(2);
+    assert.deepEqual(pages.map((page) => page.lacing.length), [254, 6]);
+    assert.deepEqual(readOggOpusPackets(file), packets);
+  }));
+
+  it('counts the samples of each frame count code', () => {
+    // CELT fullband, 20 ms frames (configuration 31)
+    assert.equal(opusPacketSamples(Buffer.from([0xf8])), 960);
+    assert.equal(opusPacketSamples(Buffer.from([0xf9, 0x00])), 1920);
+    assert.equal(opusPacketSamples(Buffer.from([0xfa, 0x00])), 1920);
+    assert.equal(opusPacketSamples(Buffer.from([0xfb, 0x03])), 2880);
+    // Code 3 keeps the frame count in the low six bits of the next byte
+    assert.equal(opusPacketSamples(Buffer.from([0xfb, 0xc5])), 4800);
+    assert.equal(opusPacketSamples(Buffer.from([0xfb])), 0);
+    assert.equal(opusPacketSamples(Buffer.alloc(0)), 0);
+  });
+
+  it('reads the frame size of each mode', () => {
+    // SILK 60 ms (configuration 3), hybrid 20 ms (13), CELT 2.5 ms (16)
+    assert.equal(opusPacketSamples(Buffer.from([0x18])), 2880);
+    assert.equal(opusPacketSamples(Buffer.from([0x68])), 960);
+    assert.equal(opusPacketSamples(Buffer.from([0x80])), 120);
+    // Each frame of a code 1 packet has the full frame size
+    assert.equal(opusPacketSamples(Buffer.from([0x19, 0x00])), 5760);
+  });
+
+  it('counts granule positions in samples', withDir(async () => {
+    const file = path.join(dir, 'test.ogg');
+    const writer = createOggOpusWriter(file);
+    writer.write(packet(3));
+    writer.write(Buffer.from([0xfb, 0x03, 0x00]));
+    assert.equal(writer.duration(), 3840);
+    await writer.close();
+    const last = readPages(file).pop();
+    assert.equal(last.data.readBigUInt64LE(6), 3840n);
+    // End of stream flag
+    assert.equal(last.data[5], 0x04);
+  }));
+});
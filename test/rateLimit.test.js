@@ -0,0 +1,60 @@
+/*
+ * Tests for the token buckets in server/rateLimit.js, on a fake clock.
+ * Run with `npm test`.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRateLimiter } = require('../server/rateLimit');
+
+describe('rate limiter', () => {
+  function limiter(limits, fallback) {
+    const clock = { time: 0 };
+    return { clock, limiter: createRateLimiter(limits, () => clock.time, fallback) };
+  }
+
+  it('allows a burst, then the refill rate', () => {
+    const { clock, limiter: limits } = limiter({ join: { capacity: 2, refill: 1 } });
+    assert.equal(limits.take('join'), true);
+    assert.equal(limits.take('join'), true);
+    assert.equal(limits.take('join'), false);
+    clock.time = 1000;
+    assert.equal(limits.take('join'), true);
+    assert.equal(limits.take('join'), false);
+  });
+
+  it('keeps a bucket per event, with a fallback limit', () => {
+    const { limiter: limits } = limiter({}, { capacity: 1, refill: 1 });
+    assert.equal(limits.take('address:a'), true);
+    assert.equal(limits.take('address:a'), false);
+    assert.equal(limits.take('address:b'), true);
+  });
+
+  it('checks without taking and gives tokens back', () => {
+    const { limiter: limits } = limiter({ login: { capacity: 1, refill: 0 } });
+    assert.equal(limits.allows('login'), true);
+    assert.equal(limits.allows('login'), true);
+    limits.take('login');
+    assert.equal(limits.allows('login'), false);
+    limits.giveBack('login');
+    limits.giveBack('login');
+    assert.equal(limits.take('login'), true);
+    assert.equal(limits.take('login'), false);
+  });
+
+  it('forgets only buckets that have refilled', () => {
+    const { clock, limiter: limits } = limiter({}, { capacity: 2, refill: 1 });
+    limits.take('a');
+    limits.take('b');
+    limits.take('b');
+    clock.time = 1000;
+    limits.prune();
+    // b is one token short; a refilled and starts over full
+    assert.equal(limits.take('b'), true);
+    assert.equal(limits.take('b'), false);
+    assert.equal(limits.take('a'), true);
+    assert.equal(limits.take('a'), true);
+    assert.equal(limits.take('a'), false);
+  });
+});
@@ -0,0 +1,93 @@
+/*
+ * Tests for the per-track recording in server/recorder.js, fed by a fake
+ * werift track instead of a WebRTC connection. Run with `npm test`.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { recordTrack, createManifest } = require('../server/recorder');
+const { OPUS_SILENCE, readOggOpusPackets } = require('../server/ogg');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A track whose RTP packets are pushed by the test
+function fakeTrack() {
+  const listeners = [];
+  return {
+    onReceiveRtp: {
+      subscribe(listener) {
+        listeners.push(listener);
+        return { unSubscribe: () => listeners.splice(listeners.indexOf(listener), 1) };
+      }
+    },
+    receive(timestamp, payload = Buffer.from(OPUS_SILENCE)) {
+      listeners.forEach((listener) => listener({ header: { timestamp }, payload }));
+    }
+  };
+}
+
+describe('recorder', () => {
+  function record(track, dir, startedAt) {
+    const file = 'track.ogg';
+    return recordTrack(track, { peerId: 'ali', name: 'Ali', file, filePath: path.join(dir, file), room: 'main', startedAt });
+  }
+
+  it('places a track at its first packet, not when it was announced', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-recorder-'));
+    try {
+      const startedAt = Date.now();
+      const track = fakeTrack();
+      const entry = record(track, dir, startedAt);
+      await wait(200);
+      const receivedAt = Date.now();
+      for (let i = 0; i < 5; i++) track.receive(1000 + i * 960);
+      await entry.finish();
+      const manifest = createManifest({ room: 'main', startedBy: 'Ali', startedAt, stoppedAt: Date.now(), tracks: [entry], speech: [] });
+      const [placed] = manifest.tracks;
+      assert.ok(placed.start >= receivedAt - startedAt, `track starts at ${placed.start} ms`);
+      assert.ok(placed.start < 1000, `track starts at ${placed.start} ms`);
+      assert.equal(placed.end - placed.start, 100);
+      assert.equal(readOggOpusPackets(entry.path).length, 5);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('fills gaps between packets with silence', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-recorder-'));
+    try {
+      const track = fakeTrack();
+      const entry = record(track, dir, Date.now());
+      track.receive(0);
+      track.receive(3 * 960);
+      // Late and duplicated packets are dropped
+      track.receive(960);
+      track.receive(3 * 960);
+      await entry.finish();
+      assert.equal(entry.end - entry.start, 80);
+      assert.equal(readOggOpusPackets(entry.path).length, 4);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('ends a track without packets where it started', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-recorder-'));
+    try {
+      const startedAt = Date.now();
+      const entry = record(fakeTrack(), dir, startedAt);
+      assert.equal(entry.start, null);
+      await wait(50);
+      const finishedAt = Date.now();
+      await entry.finish();
+      assert.ok(entry.start >= finishedAt - startedAt);
+      assert.equal(entry.end, entry.start);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
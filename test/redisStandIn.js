@@ -0,0 +1,121 @@
+/*
+ * In-memory stand-in for the node-redis (v4) client, implementing only
+ * the commands server/redisStore.js uses, so the store can be tested
+ * without a Redis server. Values are kept as Redis would return them:
+ * strings, Sets for sets, arrays for lists and objects for hashes.
+ * Expiry (PX and pExpire) is checked whenever a key is read.
+ */
+
+function createRedisStandIn() {
+  const data = new Map();
+  // key -> time (ms) at which it expires
+  const expiry = new Map();
+
+  // The value under a key, or undefined when missing or expired
+  function read(key) {
+    if (expiry.has(key) && expiry.get(key) <= Date.now()) {
+      data.delete(key);
+      expiry.delete(key);
+    }
+    return data.get(key);
+  }
+
+  function write(key, value) {
+    data.set(key, value);
+  }
+
+  function remove(key) {
+    const existed = read(key) !== undefined;
+    data.delete(key);
+    expiry.delete(key);
+    return existed;
+  }
+
+  return {
+    async get(key) {
+      const value = read(key);
+      return value === undefined ? null : value;
+    },
+
+    async set(key, value, { NX, PX } = {}) {
+      if (NX && read(key) !== undefined) return null;
+      write(key, String(value));
+      expiry.delete(key);
+      if (PX) expiry.set(key, Date.now() + PX);
+      return 'OK';
+    },
+
+    async del(key) {
+      return remove(key) ? 1 : 0;
+    },
+
+    async getDel(key) {
+      const value = read(key);
+      remove(key);
+      return value === undefined ? null : value;
+    },
+
+    async exists(key) {
+      return read(key) === undefined ? 0 : 1;
+    },
+
+    async pExpire(key, ms) {
+      if (read(key) === undefined) return false;
+      expiry.set(key, Date.now() + ms);
+      return true;
+    },
+
+    async hSet(key, fields) {
+      const hash = read(key) || {};
+      Object.entries(fields).forEach(([field, value]) => {
+        hash[field] = String(value);
+      });
+      write(key, hash);
+      return Object.keys(fields).length;
+    },
+
+    async hGetAll(key) {
+      return { ...read(key) };
+    },
+
+    async sAdd(key, member) {
+      const set = read(key) || new Set();
+      [].concat(member).forEach((m) => set.add(m));
+      write(key, set);
+    },
+
+    async sRem(key, member) {
+      const set = read(key);
+      if (set) [].concat(member).forEach((m) => set.delete(m));
+    },
+
+    async sMembers(key) {
+      return Array.from(read(key) || []);
+    },
+
+    async rPush(key, value) {
+      const list = read(key) || [];
+      list.push(value);
+      write(key, list);
+      return list.length;
+    },
+
+    async lTrim(key, start, stop) {
+      const list = read(key);
+      if (!list) return;
+      const from = start < 0 ? Math.max(0, list.length + start) : start;
+      const to = stop < 0 ? list.length + stop + 1 : stop + 1;
+      write(key, list.slice(from, to));
+    },
+
+    async lRange(key, start, stop) {
+      const list = read(key) || [];
+      const to = stop < 0 ? list.length + stop + 1 : stop + 1;
+      return list.slice(start < 0 ? Math.max(0, list.length + start) : start, to);
+    }
+  };
+}
+
+module.exports = {
+  createRedisStandIn
+};
@@ -0,0 +1,244 @@
+/*
+ * Tests for the signalling stores. Every case runs against the
+ * in-memory store and against the Redis store over an in-memory
+ * stand-in client (see redisStandIn.js). Run with `npm test`.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryStore } = require('../server/store');
+const { createRedisStore } = require('../server/redisStore');
+const { createRedisStandIn } = require('./redisStandIn');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A peer as sockets.js stores it
+function peer(peerId, fields = {}) {
+  return {
+    peerId,
+    socketId: `socket-${peerId}`,
+    name: peerId,
+    room: 'main',
+    muted: false,
+    moderator: false,
+    forceMuted: false,
+    suspended: false,
+    recorder: false,
+    forwarder: false,
+    localRecording: false,
+    sharing: false,
+    audioProfile: null,
+    stats: {},
+    resumeToken: null,
+    sessionId: null,
+    joinedAt: Date.now(),
+    address: '127.0.0.1',
+    ...fields
+  };
+}
+
+const stores = {
+  memory: () => createMemoryStore(),
+  redis: () => createRedisStore(createRedisStandIn())
+};
+
+for (const [kind, createStore] of Object.entries(stores)) {
+  describe(`${kind} store`, () => {
+    it('returns copies of peers and merges updates', async () => {
+      const store = createStore();
+      await store.addPeer(peer('ali', { stats: { sara: { rtt: 20 } } }));
+      const stored = await store.getPeer('ali');
+      assert.deepEqual(stored.stats, { sara: { rtt: 20 } });
+      stored.muted = true;
+      assert.equal((await store.getPeer('ali')).muted, false);
+      const updated = await store.updatePeer('ali', { muted: true, audioProfile: { profile: 'low', auto: true } });
+      assert.equal(updated.muted, true);
+      assert.deepEqual((await store.getPeer('ali')).audioProfile, { profile: 'low', auto: true });
+      assert.equal(await store.getPeer('nobody'), null);
+      assert.equal(await store.updatePeer('nobody', { muted: true }), null);
+    });
+
+    it('keeps concurrent updates of different fields', async () => {
+      const store = createStore();
+      await store.addPeer(peer('ali'));
+      await Promise.all([
+        store.updatePeer('ali', { forceMuted: true }),
+        store.updatePeer('ali', { stats: { sara: { rtt: 40 } } }),
+        store.updatePeer('ali', { muted: true })
+      ]);
+      const stored = await store.getPeer('ali');
+      assert.equal(stored.forceMuted, true);
+      assert.equal(stored.muted, true);
+      assert.deepEqual(stored.stats, { sara: { rtt: 40 } });
+    });
+
+    it('does not bring back a removed peer on update', async () => {
+      const store = createStore();
+      await store.addPeer(peer('ali'));
+      await Promise.all([store.removePeer('ali'), store.updatePeer('ali', { muted: true })]);
+      assert.equal(await store.getPeer('ali'), null);
+      assert.deepEqual(await store.listPeers(), []);
+    });
+
+    it('refuses a name held by another peer in the same room', async () => {
+      const store = createStore();
+      assert.equal(await store.claimName('main', 'Ali', 'a'), true);
+      assert.equal(await store.claimName('main', 'Ali', 'a'), true);
+      assert.equal(await store.claimName('main', 'Ali', 'b'), false);
+      assert.equal(await store.claimName('other', 'Ali', 'b'), true);
+    });
+
+    it('frees a name when its peer is removed', async () => {
+      const store = createStore();
+      await store.claimName('main', 'ali', 'ali');
+      await store.addPeer(peer('ali'));
+      assert.equal((await store.removePeer('ali')).peerId, 'ali');
+      assert.equal(await store.removePeer('ali'), null);
+      assert.equal(await store.claimName('main', 'ali', 'b'), true);
+    });
+
+    it('hands out a resume token only once', async () => {
+      const store = createStore();
+      await store.addPeer(peer('ali', { resumeToken: 'token' }));
+      await store.setResumeToken('token', 'ali');
+      assert.equal(await store.takeResumeToken('token'), 'ali');
+      assert.equal(await store.takeResumeToken('token'), null);
+      assert.equal(await store.takeResumeToken('unknown'), null);
+    });
+
+    it('forgets the resume token of a removed peer', async () => {
+      const store = createStore();
+      await store.addPeer(peer('ali', { resumeToken: 'token' }));
+      await store.setResumeToken('token', 'ali');
+      await store.removePeer('ali');
+      assert.equal(await store.takeResumeToken('token'), null);
+    });
+
+    it('lists peers by join time, per room or all', async () => {
+      const store = createStore();
+      const now = Date.now();
+      await store.addPeer(peer('sara', { joinedAt: now + 2 }));
+      await store.addPeer(peer('ali', { joinedAt: now }));
+      await store.addPeer(peer('omar', { room: 'other', joinedAt: now + 1 }));
+      await store.addPeer(peer('azzo', { joinedAt: now + 1 }));
+      const ids = (peers) => peers.map((p) => p.peerId);
+      assert.deepEqual(ids(await store.listPeers('main')), ['ali', 'azzo', 'sara']);
+      assert.deepEqual(ids(await store.listPeers('other')), ['omar']);
+      assert.deepEqual(ids(await store.listPeers()), ['ali', 'omar', 'azzo', 'sara']);
+      await store.removePeer('azzo');
+      assert.deepEqual(ids(await store.listPeers('main')), ['ali', 'sara']);
+      assert.deepEqual(await store.listPeers('empty'), []);
+    });
+
+    it('lets a ban expire', async () => {
+      const store = createStore();
+      const until = Date.now() + 50;
+      await store.setBan('main', 'Ali', until);
+      assert.equal(await store.getBan('main', 'Ali'), until);
+      assert.equal(await store.getBan('other', 'Ali'), null);
+      assert.equal(await store.getBan('main', 'Sara'), null);
+      await wait(80);
+      assert.equal(await store.getBan('main', 'Ali'), null);
+    });
+
+    it('keeps only the most recent chat messages', async () => {
+      const store = createStore();
+      for (let i = 1; i <= 5; i++) {
+        await store.appendChat('main', { text: String(i) }, 3);
+      }
+      assert.deepEqual((await store.getChat('main')).map((m) => m.text), ['3', '4', '5']);
+      assert.deepEqual(await store.getChat('other'), []);
+    });
+
+    it('clears the chat, lock, recording and mesh fallback of a room only', async () => {
+      const store = createStore();
+      for (const room of ['main', 'other']) {
+        await store.appendChat(room, { text: 'hello' }, 10);
+        await store.setRoomLocked(room, true);
+        await store.setMeshFallback(room, true);
+        await store.setRecording(room, { by: 'Ali', startedAt: 1 });
+      }
+      await store.setBan('main', 'Sara', Date.now() + 60000);
+      await store.clearRoom('main');
+      assert.deepEqual(await store.getChat('main'), []);
+      assert.equal(await store.isRoomLocked('main'), false);
+      assert.equal(await store.isMeshFallback('main'), false);
+      assert.equal(await store.getRecording('main'), null);
+      assert.notEqual(await store.getBan('main', 'Sara'), null);
+      assert.equal((await store.getChat('other')).length, 1);
+      assert.equal(await store.isRoomLocked('other'), true);
+      assert.equal(await store.isMeshFallback('other'), true);
+      assert.deepEqual(await store.getRecording('other'), { by: 'Ali', startedAt: 1 });
+    });
+
+    it('unlocks a room, ends its mesh fallback and clears a recording', async () => {
+      const store = createStore();
+      await store.setRoomLocked('main', true);
+      await store.setRoomLocked('main', false);
+      assert.equal(await store.isRoomLocked('main'), false);
+      await store.setMeshFallback('main', true);
+      await store.setMeshFallback('main', false);
+      assert.equal(await store.isMeshFallback('main'), false);
+      await store.setRecording('main', { by: 'Ali', startedAt: 1 });
+      await store.setRecording('main', null);
+      assert.equal(await store.getRecording('main'), null);
+    });
+  });
+}
+
+describe('redis store across processes', () => {
+  // A client shared with another process that can be cut off, as if
+  // that process had crashed: its commands never complete
+  function crashable(client) {
+    let crashed = false;
+    const proxy = new Proxy(client, {
+      get: (target, command) => (...args) => (crashed ? new Promise(() => {}) : target[command](...args))
+    });
+    return { client: proxy, crash: () => { crashed = true; } };
+  }
+
+  it('lets the peers of a stopped process expire', async () => {
+    const redis = createRedisStandIn();
+    const other = crashable(redis);
+    const alive = createRedisStore(redis, { ttl: 0.2 });
+    const stopped = createRedisStore(other.client, { ttl: 0.2 });
+    for (const [store, id] of [[alive, 'ali'], [stopped, 'sara']]) {
+      await store.claimName('main', id, id);
+      await store.addPeer(peer(id, { resumeToken: `token-${id}` }));
+      await store.setResumeToken(`token-${id}`, id);
+    }
+    await stopped.appendChat('main', { text: 'hello' }, 10);
+    other.crash();
+    await wait(400);
+    assert.deepEqual((await alive.listPeers('main')).map((p) => p.peerId), ['ali']);
+    assert.deepEqual((await alive.listPeers()).map((p) => p.peerId), ['ali']);
+    assert.equal(await alive.claimName('main', 'sara', 'new'), true);
+    assert.equal(await alive.claimName('main', 'ali', 'new'), false);
+    assert.equal(await alive.takeResumeToken('token-sara'), null);
+    assert.equal(await alive.takeResumeToken('token-ali'), 'ali');
+    // The room still has a peer, so its chat is kept alive
+    assert.equal((await alive.getChat('main')).length, 1);
+  });
+
+  it('leaves a peer to the process that took it over', async () => {
+    const redis = createRedisStandIn();
+    const first = crashable(redis);
+    const before = createRedisStore(first.client, { ttl: 0.2 });
+    const after = createRedisStore(redis, { ttl: 0.2 });
+    await before.addPeer(peer('ali'));
+    await after.updatePeer('ali', { socketId: 'socket-2', suspended: false });
+    first.crash();
+    await wait(400);
+    assert.equal((await after.getPeer('ali')).socketId, 'socket-2');
+  });
+
+  it('expires the state of a room nobody is in', async () => {
+    const store = createRedisStore(createRedisStandIn(), { ttl: 0.1 });
+    await store.appendChat('empty', { text: 'hello' }, 10);
+    await store.setRoomLocked('empty', true);
+    await wait(200);
+    assert.deepEqual(await store.getChat('empty'), []);
+    assert.equal(await store.isRoomLocked('empty'), false);
+  });
+});
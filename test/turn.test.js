@@ -0,0 +1,63 @@
+/*
+ * Tests for the ephemeral TURN credentials in server/turn.js. The TURN
+ * settings are given through the environment before config.js reads
+ * it. Run with `npm test`.
+ */
+
+process.env.TURN_URL = 'turn:turn.example.com:3478';
+process.env.TURN_SECRET = 'coturn-secret';
+process.env.TURN_TTL = '600';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { createTurnCredentials, getIceConfig } = require('../server/turn');
+
+// The password coturn derives from a username with `use-auth-secret`
+const expectedCredential = (username, secret) => crypto.createHmac('sha1', secret).update(username).digest('base64');
+
+describe('turn', () => {
+  it('signs an expiring username with the shared secret', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const { username, credential, expiresAt } = createTurnCredentials('peer-1', 'secret', 60);
+    const [expiry, label] = username.split(':');
+    assert.equal(label, 'peer-1');
+    assert.ok(Number(expiry) >= now + 60 && Number(expiry) <= now + 61, username);
+    assert.equal(expiresAt, Number(expiry) * 1000);
+    assert.equal(credential, expectedCredential(username, 'secret'));
+  });
+
+  it('matches a known credential', () => {
+    const now = Date.now;
+    Date.now = () => 1699999940000;
+    try {
+      assert.deepEqual(createTurnCredentials('peer-1', 'secret', 60), {
+        username: '1700000000:peer-1',
+        credential: 'KpDDPYSIdE7tF4U7BrrCnelETw0=',
+        expiresAt: 1700000000000
+      });
+    } finally {
+      Date.now = now;
+    }
+  });
+
+  it('uses TURN_SECRET and TURN_TTL by default', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const { username, credential } = createTurnCredentials('peer-1');
+    assert.ok(Number(username.split(':')[0]) >= now + 600);
+    assert.equal(credential, expectedCredential(username, 'coturn-secret'));
+  });
+
+  it('gives TURN credentials to authenticated clients only', () => {
+    const config = getIceConfig('peer-1', true);
+    const turn = config.iceServers.find((server) => server.urls === 'turn:turn.example.com:3478');
+    assert.match(turn.username, /^\d+:peer-1$/);
+    assert.equal(turn.credential, expectedCredential(turn.username, 'coturn-secret'));
+    assert.equal(config.expiresAt, Number(turn.username.split(':')[0]) * 1000);
+
+    const anonymous = getIceConfig('peer-2', false);
+    assert.equal(anonymous.iceServers.some((server) => server.urls === 'turn:turn.example.com:3478'), false);
+    assert.equal(anonymous.expiresAt, null);
+  });
+});
@@ -0,0 +1,90 @@
+/*
+ * Tests for the event payload schemas in server/validation.js. Run
+ * with `npm test`.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CHAT_MAX_LENGTH, SCHEMAS, validate } = require('../server/validation');
+
+// The problem found in a payload for `event`, or null when it is valid
+const check = (event, payload) => validate(SCHEMAS[event], payload);
+
+describe('validation', () => {
+  it('accepts well-formed payloads', () => {
+    assert.equal(check('join', { name: 'Ali' }), null);
+    assert.equal(check('join', { name: 'Ali', room: 'main' }), null);
+    assert.equal(check('mute', { muted: true }), null);
+    assert.equal(check('chat-message', { text: 'x'.repeat(CHAT_MAX_LENGTH) }), null);
+  });
+
+  it('rejects missing fields and fields of the wrong type', () => {
+    assert.equal(check('join', {}), 'payload.name must be a string');
+    assert.equal(check('join', { name: 42 }), 'payload.name must be a string');
+    assert.equal(check('join', { name: 'Ali', room: 7 }), 'payload.room must be a string');
+    assert.equal(check('mute', { muted: 'yes' }), 'payload.muted must be a boolean');
+    assert.equal(check('ban', { targetPeerId: 'a', minutes: '5' }), 'payload.minutes must be a number');
+    assert.equal(check('ban', { targetPeerId: 'a', minutes: NaN }), 'payload.minutes must be a number');
+    assert.equal(check('mute', undefined), 'payload must be an object');
+    assert.equal(check('mute', null), 'payload must be an object');
+    assert.equal(check('mute', [true]), 'payload must be an object');
+  });
+
+  it('checks string lengths', () => {
+    assert.equal(check('join', { name: '' }), 'payload.name is too short');
+    assert.equal(check('join', { name: 'x'.repeat(65) }), 'payload.name is too long');
+    assert.equal(check('chat-message', { text: 'x'.repeat(CHAT_MAX_LENGTH + 1) }), 'payload.text is too long');
+  });
+
+  it('checks numbers against their bounds', () => {
+    assert.equal(check('ban', { targetPeerId: 'a', minutes: 1 }), null);
+    assert.equal(check('ban', { targetPeerId: 'a', minutes: 24 * 60 }), null);
+    assert.equal(check('ban', { targetPeerId: 'a', minutes: 0 }), 'payload.minutes is too small');
+    assert.equal(check('ban', { targetPeerId: 'a', minutes: 24 * 60 + 1 }), 'payload.minutes is too large');
+  });
+
+  it('accepts only the listed values of an enum', () => {
+    assert.equal(check('audio-profile', { profile: 'music', auto: false }), null);
+    assert.equal(
+      check('audio-profile', { profile: 'loud', auto: false }),
+      'payload.profile must be one of low, standard, music'
+    );
+  });
+
+  it('rejects a payload on events that take none', () => {
+    assert.equal(check('refresh-ice', undefined), null);
+    assert.equal(check('refresh-ice', {}), 'payload must be empty');
+    assert.equal(check('start-recording', null), 'payload must be empty');
+    assert.equal(check('subscribe-presence', 'main'), 'payload must be empty');
+  });
+
+  describe('signal', () => {
+    const signal = (data) => check('signal', { targetPeerId: 'sara', data });
+
+    it('accepts an offer, an answer, a reset or a candidate', () => {
+      assert.equal(signal({ type: 'offer', sdp: 'v=0' }), null);
+      assert.equal(signal({ type: 'answer', sdp: 'v=0' }), null);
+      assert.equal(signal({ type: 'reset' }), null);
+      assert.equal(signal({ candidate: { candidate: 'candidate:1 1 udp 1 1.2.3.4 5 typ host', sdpMid: '0', sdpMLineIndex: 0 } }), null);
+      // The end-of-candidates marker leaves the optional fields null
+      assert.equal(signal({ candidate: { candidate: '', sdpMid: null, sdpMLineIndex: null } }), null);
+    });
+
+    it('rejects missing data', () => {
+      assert.notEqual(signal(undefined), null);
+      assert.notEqual(signal(null), null);
+      assert.equal(check('signal', { data: { type: 'reset' } }), 'payload.targetPeerId must be a string');
+    });
+
+    it('rejects data matching none of the options', () => {
+      assert.notEqual(signal({ type: 'rollback', sdp: 'v=0' }), null);
+      assert.notEqual(signal({ type: 'offer' }), null);
+      assert.notEqual(signal({ type: 'offer', sdp: 'x'.repeat(32 * 1024 + 1) }), null);
+      assert.notEqual(signal({ candidate: { candidate: 'c', sdpMLineIndex: 256 } }), null);
+      assert.notEqual(signal({ candidate: 'candidate:1' }), null);
+      // The error reported is that of the last option
+      assert.equal(signal({}), 'payload.data.candidate must be an object');
+    });
+  });
+});